@@ -4,8 +4,8 @@ const getConfig = async (req) => {
 
     const { copilotz, config } = resources;
 
-    // Get the Copilotz's configuration
-    let configsArr = (await models.configs.find({ owner: copilotz._id, type: 'copilotz' })) || [];
+    // Get the Copilotz's configuration (owner ids are shared with other owner types, e.g. actions' credentials)
+    let configsArr = (await models.configs.find({ owner: copilotz._id, ownerType: 'copilotz' })) || [];
 
     // Join Copilotz's configuration with the config passed by params
     configsArr = [...(copilotz.configs || []), ...(configsArr || [])].filter(c=>c?._id)
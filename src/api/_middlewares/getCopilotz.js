@@ -1,10 +1,20 @@
 
 const getCopilotz = async (req) => {
 
-    const { config: _config } = req.params;
-    const { copilotzId, ...config } = _config;
+    // The copilotz is either in the url (e.g. `/api/mcp/:copilotzId`), or in the request config
+    const { config: _config = {}, copilotzId: urlCopilotzId } = req.params;
+    const { copilotzId: configCopilotzId, ...config } = _config;
     const { models } = getCopilotz;
 
+    if (urlCopilotzId && configCopilotzId && `${configCopilotzId}` !== `${urlCopilotzId}`) {
+        throw { status: 400, message: 'The copilotzId of the config does not match the url' };
+    }
+
+    // Url params are strings, while ids may be numbers
+    const copilotzId = urlCopilotzId
+        ? (/^\d+$/.test(urlCopilotzId) ? Number(urlCopilotzId) : urlCopilotzId)
+        : configCopilotzId;
+
     let copilotzDoc;
 
     if (copilotzId) {
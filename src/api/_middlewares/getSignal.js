@@ -0,0 +1,23 @@
+// Request-scoped cancellation for agents, providers and actions: the signal aborts when the turn
+// runs longer than `config.TIMEOUTS.turn` (in ms). It also follows `req.signal` when there is one,
+// but the server does not always provide it, so a client disconnecting may not cancel the turn:
+// set a turn timeout to bound it.
+const getSignal = async (req) => {
+
+    const { resources } = getSignal;
+
+    const turnTimeout = resources.config?.TIMEOUTS?.turn;
+
+    const signals = [
+        req?.signal instanceof AbortSignal ? req.signal : undefined,
+        turnTimeout ? AbortSignal.timeout(turnTimeout) : undefined,
+    ].filter(Boolean);
+
+    // agents and actions always get a signal, even when nothing can abort it
+    getSignal.resources.signal = signals.length ? AbortSignal.any(signals) : new AbortController().signal;
+
+    return req;
+
+}
+
+export default getSignal;
@@ -0,0 +1,31 @@
+const getThread = async (req) => {
+
+    const { models, resources } = getThread;
+
+    const extId = req.params?.thread?.extId;
+
+    // resources are kept between requests: a request without a thread must not get the previous one
+    if (!extId) {
+        getThread.resources.thread = undefined;
+        return;
+    }
+
+    let thread = await models.threads.findOne({ extId, copilotz: resources.copilotz?._id });
+
+    if (!thread) {
+
+        thread = await models.threads.create({
+            extId,
+            copilotz: resources.copilotz?._id,
+            user: resources.user?._id,
+        });
+
+    }
+
+    getThread.resources.thread = thread;
+
+    return req;
+
+}
+
+export default getThread;
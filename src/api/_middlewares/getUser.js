@@ -2,7 +2,11 @@ const getUsers = async (req) => {
 
     const { models } = getUsers;
 
-    if (!req?.params.user.name) return;
+    // resources are kept between requests: a request without a user must not get the previous one
+    if (!req?.params?.user?.name) {
+        getUsers.resources.user = undefined;
+        return;
+    }
 
     let usersPhonePromise, usersEmailPromise;
     if (req.params?.user?.phone) {
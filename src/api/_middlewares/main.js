@@ -3,5 +3,6 @@ export { default as getCopilotz } from './getCopilotz.js';
 export { default as getConfig } from './getConfig.js';
 export { default as getJob } from './getJob.js';
 export { default as getSubscription } from './getSubscription.js';
-
+export { default as getThread } from './getThread.js';
+export { default as getSignal } from './getSignal.js';
 
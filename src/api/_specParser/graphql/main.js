@@ -0,0 +1,225 @@
+import YAML from "npm:yaml";
+import {
+  buildClientSchema,
+  buildSchema,
+  getIntrospectionQuery,
+  getNamedType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isLeafType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isScalarType,
+  isSpecifiedScalarType,
+  isUnionType,
+} from "npm:graphql@16";
+import { maxArgDepth, maxArgDescriptionLength, maxDescriptionLength, sanitize, truncate, unflatten } from "../helpers.js";
+
+// Levels of nested objects selected in the results, unless the spec sets its own `depth`
+const defaultDepth = 2;
+
+// Introspected schemas are cached by url and headers for `schemaCacheTtl`, as the actions are parsed
+// for every request. Introspection fails after `introspectionTimeout`.
+const schemas = new Map();
+const schemaCacheTtl = 5 * 60 * 1000; // in milliseconds
+const introspectionTimeout = 30000; // in milliseconds
+
+// Queries and mutations of a GraphQL api, as actions. The action's `spec` is in YAML or JSON:
+// - url: endpoint of the api
+// - schema: the api's SDL, or the result of an introspection query. Without it, the api is introspected.
+// - headers: headers of the requests
+// - depth: levels of nested objects selected in the results (default 2)
+// - operations: names of the queries and mutations to expose, instead of all of them
+// Its `moduleUrl` is 'native:request'. Credentials, stored as the action's secret `AUTH` config, are
+// added to the requests as { headers }.
+const ParseGraphQLSpec = async ({ spec, module: request, auth }) => {
+
+  const actions = {};
+
+  if (!spec) return;
+
+  const { url, schema: schemaSource, headers: specHeaders, depth = defaultDepth, operations } =
+    typeof spec === "string" ? YAML.parse(spec) : spec;
+  const headers = { ...specHeaders, ...auth?.headers };
+
+  if (!/^https?:\/\//.test(url || "")) {
+    throw new Error(`GraphQL url "${url || ""}" is not absolute: add the absolute url of the api to the spec`);
+  }
+
+  // 1. Build the schema from the SDL or introspection result, or introspect the api
+  const schema = await loadSchema(schemaSource, () => getCached(JSON.stringify([url, headers]), () => request(url, {
+    method: "POST",
+    headers,
+    body: { query: getIntrospectionQuery() },
+    signal: AbortSignal.timeout(introspectionTimeout),
+  }).then((result) => loadSchema(result))));
+
+  // 2. Create an action for each field of the query and mutation types
+  const rootTypes = [["query", schema.getQueryType()], ["mutation", schema.getMutationType()]];
+  for (const [operationType, rootType] of rootTypes) {
+    if (!rootType) continue;
+
+    for (const field of Object.values(rootType.getFields())) {
+      if (operations && !operations.includes(field.name)) continue;
+
+      // queries and mutations may share a name
+      const actionName = actions[field.name] ? `${field.name}_${operationType}` : field.name;
+
+      // 2.1. Args of the field, with input objects in dot notation
+      const args = field.args.flatMap((arg) => formatArgs(arg.name, arg.type, {
+        required: isNonNullType(arg.type) && arg.defaultValue === undefined,
+        description: arg.description,
+        defaultValue: arg.defaultValue,
+      }));
+      const required = field.args
+        .filter((arg) => isNonNullType(arg.type) && arg.defaultValue === undefined)
+        .map(({ name }) => name);
+
+      // 2.2. Describe the field and its result
+      const description = truncate(
+        sanitize(field.description || `${operationType === "mutation" ? "Mutation" : "Query"} ${field.name}`),
+        maxDescriptionLength
+      );
+      const resultType = getNamedType(field.type);
+      const responseDescription = truncate(
+        [String(field.type), sanitize(resultType.description)].filter(Boolean).join(": "),
+        maxDescriptionLength
+      );
+
+      // 2.3. The operation selects the result's fields up to `depth` levels of nested objects
+      const selection = selectionSet(resultType, depth);
+
+      actions[actionName] = async ({ _user, _signal, ...params }) => {
+        params = unflatten(params);
+
+        const missing = required.filter((name) => params[name] === undefined);
+        if (missing.length) {
+          throw new Error(`Missing required arguments: ${missing.join(", ")}`);
+        }
+
+        // 2.4. Only the args that were passed become variables of the operation
+        const usedArgs = field.args.filter(({ name }) => params[name] !== undefined);
+        const variableDefinitions = usedArgs.length
+          ? `(${usedArgs.map(({ name, type }) => `$${name}: ${String(type)}`).join(", ")})`
+          : "";
+        const fieldArgs = usedArgs.length
+          ? `(${usedArgs.map(({ name }) => `${name}: $${name}`).join(", ")})`
+          : "";
+        const query = `${operationType} ${actionName}${variableDefinitions} { ${field.name}${fieldArgs}${selection ? ` ${selection}` : ""} }`;
+
+        const response = await request(url, {
+          method: "POST",
+          headers,
+          body: {
+            query,
+            operationName: actionName,
+            variables: Object.fromEntries(usedArgs.map(({ name }) => [name, params[name]])),
+          },
+          signal: _signal,
+        });
+
+        // 2.5. GraphQL errors are thrown when there is no result, and returned along with partial results
+        const result = response?.data?.[field.name];
+        const errors = (response?.errors || []).map(({ message }) => message);
+        if (errors.length && (result === undefined || result === null)) {
+          throw new Error(errors.join("; "));
+        }
+        return errors.length ? { data: result, errors } : result;
+      };
+
+      actions[actionName].spec = `(${description}):${args.join(", ")}->(${responseDescription})`;
+    }
+  }
+
+  return actions;
+};
+
+export default ParseGraphQLSpec;
+
+// SDL, introspection results (with or without their `data`), as JSON or parsed, or the api's introspection
+const loadSchema = async (source, introspect) => {
+  if (typeof source === "string" && source.trim().startsWith("{")) source = JSON.parse(source);
+  if (typeof source === "string") return buildSchema(source, { assumeValidSDL: true });
+
+  if (!source) return introspect();
+
+  const introspection = source?.data || source;
+  if (!introspection?.__schema) {
+    throw new Error("GraphQL schema not found: add the SDL or an introspection result to the spec, or enable introspection in the api");
+  }
+  return buildClientSchema(introspection);
+};
+
+// Concurrent parses share the pending introspection, and failed ones are not cached
+const getCached = (key, load) => {
+  const cached = schemas.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.schema;
+
+  const entry = { schema: load(), expiresAt: Date.now() + schemaCacheTtl };
+  schemas.set(key, entry);
+  entry.schema.catch(() => schemas.get(key) === entry && schemas.delete(key));
+  return entry.schema;
+};
+
+// Selection set of a type: its leaf fields, and the fields of its nested objects up to `depth` levels.
+// Fields with required args are skipped, and `__typename` stands for objects without selectable fields.
+const selectionSet = (type, depth) => {
+  if (isLeafType(type)) return "";
+
+  if (isUnionType(type)) {
+    const fragments = type.getTypes()
+      .map((member) => `... on ${member.name} ${selectionSet(member, depth)}`);
+    return `{ __typename ${fragments.join(" ")} }`;
+  }
+
+  const fields = Object.values(type.getFields())
+    .filter((field) => !field.args.some((arg) => isNonNullType(arg.type) && arg.defaultValue === undefined))
+    .map((field) => {
+      const fieldType = getNamedType(field.type);
+      if (isLeafType(fieldType)) return field.name;
+      if (depth <= 1) return null;
+      return `${field.name} ${selectionSet(fieldType, depth - 1)}`;
+    })
+    .filter(Boolean);
+
+  return `{ ${[...(isInterfaceType(type) ? ["__typename"] : []), ...fields].join(" ") || "__typename"} }`;
+};
+
+// Input objects become dot notation args, up to `maxArgDepth` levels
+const formatArgs = (name, type, { required, description, defaultValue, depth = 1 }) => {
+  const namedType = getNamedType(type);
+  if (isInputObjectType(namedType) && !isListType(unwrapNonNull(type)) && depth < maxArgDepth) {
+    return Object.values(namedType.getFields()).flatMap((field) => formatArgs(`${name}.${field.name}`, field.type, {
+      required: required && isNonNullType(field.type) && field.defaultValue === undefined,
+      description: field.description,
+      defaultValue: field.defaultValue,
+      depth: depth + 1,
+    }));
+  }
+  const details = [
+    // built-in scalars' descriptions are generic
+    sanitize(description || (!isSpecifiedScalarType(namedType) ? namedType.description : "")),
+    isEnumType(namedType) ? `one of: ${namedType.getValues().map(({ name }) => JSON.stringify(name)).join(", ")}` : "",
+    defaultValue !== undefined ? `default: ${JSON.stringify(defaultValue)}` : "",
+  ].filter(Boolean).join("; ");
+  return [`${required ? "!" : ""}${name}<${formatType(type)}>(${truncate(details, maxArgDescriptionLength)})`];
+};
+
+// Types are formatted as in the action specs: string, number, boolean, object, date or `array of <type>`
+const formatType = (type) => {
+  type = unwrapNonNull(type);
+  if (isListType(type)) return `array of ${formatType(type.ofType)}`;
+  if (isEnumType(type)) return "string";
+  if (isInputObjectType(type) || isObjectType(type)) return "object";
+  if (isScalarType(type)) {
+    if (["String", "ID"].includes(type.name)) return "string";
+    if (["Int", "Float"].includes(type.name)) return "number";
+    if (type.name === "Boolean") return "boolean";
+    if (["Date", "DateTime"].includes(type.name)) return "date";
+  }
+  return "any";
+};
+
+const unwrapNonNull = (type) => isNonNullType(type) ? type.ofType : type;
@@ -0,0 +1,30 @@
+// Helpers shared by the parsers of http apis (openapi3-yaml and graphql)
+
+// Long descriptions are cut, as every action spec is sent in the prompt
+export const maxDescriptionLength = 500;
+export const maxArgDescriptionLength = 200;
+
+// Nested objects are described as dot notation args (e.g. `customer.address.city`) up to this depth
+export const maxArgDepth = 3;
+
+// Dot notation args (e.g. `customer.name`) become nested objects
+export const unflatten = (params) => {
+  const result = {};
+  for (const [key, value] of Object.entries(params)) {
+    const path = key.split(".");
+    let target = result;
+    path.slice(0, -1).forEach((part) => {
+      target = target[part] = target[part] && typeof target[part] === "object" ? target[part] : {};
+    });
+    const last = path[path.length - 1];
+    target[last] = value && typeof value === "object" && !Array.isArray(value) && typeof target[last] === "object"
+      ? { ...target[last], ...value }
+      : value;
+  }
+  return result;
+};
+
+// Descriptions are kept in a single line, and their parentheses would end the spec's descriptions
+export const sanitize = (text) => (text || "").replace(/\s+/g, " ").replace(/\(/g, "[").replace(/\)/g, "]").replace(/[<>]/g, "").trim();
+
+export const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
@@ -104,139 +104,6 @@ function jsonSchemaToShortSchema(jsonSchema, { detailed } = {}) {
 }
 
 
-
-// Attach the function specification and description to the function object
-// Test function
-function testJsonSchema(schema, functionName = '') {
-    const shortSchema = jsonSchemaToShortSchema(schema, { detailed: false });
-    const functionSpec = jsonSchemaToFunctionSpec(schema, functionName);
-
-    console.log('Input Schema:', JSON.stringify(schema, null, 2));
-    console.log('Short Schema:', JSON.stringify(shortSchema, null, 2));
-    console.log('Function Spec:', functionSpec);
-    console.log('---');
-}
-
-// Example 1: Function with array of primitive types
-const arrayOfPrimitivesSchema = {
-    type: 'object',
-    description: 'Add items to a shopping list',
-    properties: {
-        items: {
-            type: 'array',
-            items: { type: 'string' },
-            description: 'List of items to add'
-        },
-        urgency: {
-            type: 'integer',
-            enum: [1, 2, 3],
-            description: 'Urgency level (1-3)'
-        }
-    },
-    required: ['items']
-};
-
-// Example 2: Function with nested arrays
-const nestedArraysSchema = {
-    type: 'object',
-    description: 'Create a weekly meal plan',
-    properties: {
-        mealPlan: {
-            type: 'array',
-            items: {
-                type: 'array',
-                items: {
-                    type: 'string'
-                }
-            },
-            description: 'Array of 7 days, each containing an array of meal names'
-        }
-    },
-    required: ['mealPlan']
-};
-
-// Example 3: Function with complex nested structure and additional properties
-const complexNestedSchema = {
-    type: 'object',
-    description: 'Process a complex order with custom fields',
-    properties: {
-        orderId: { type: 'string', description: 'Unique order identifier' },
-        customer: {
-            type: 'object',
-            properties: {
-                name: { type: 'string' },
-                contactInfo: {
-                    type: 'object',
-                    properties: {
-                        email: { type: 'string', format: 'email' },
-                        phone: { type: 'string' }
-                    },
-                    required: ['email']
-                }
-            },
-            required: ['name', 'contactInfo']
-        },
-        items: {
-            type: 'array',
-            items: {
-                type: 'object',
-                properties: {
-                    productId: { type: 'string' },
-                    quantity: { type: 'integer', minimum: 1 },
-                    customizations: {
-                        type: 'object',
-                        additionalProperties: true,
-                        description: 'Custom fields for the product'
-                    }
-                },
-                required: ['productId', 'quantity']
-            }
-        },
-        specialInstructions: { type: 'string' }
-    },
-    required: ['orderId', 'customer', 'items'],
-    additionalProperties: false
-};
-
-// Example 4: Function with various data formats
-const dataFormatsSchema = {
-    type: 'object',
-    description: 'Schedule an appointment',
-    properties: {
-        appointmentDate: { type: 'string', format: 'date-time', description: 'Date and time of the appointment' },
-        duration: { type: 'integer', minimum: 15, maximum: 120, description: 'Duration in minutes (15-120)' },
-        patientInfo: {
-            type: 'object',
-            properties: {
-                name: { type: 'string' },
-                dateOfBirth: { type: 'string', format: 'date' },
-                weight: { type: 'number', description: 'Weight in kg' },
-                height: { type: 'number', description: 'Height in cm' },
-                isNewPatient: { type: 'boolean' }
-            },
-            required: ['name', 'dateOfBirth']
-        },
-        reasonForVisit: { type: 'string', maxLength: 500 }
-    },
-    required: ['appointmentDate', 'duration', 'patientInfo']
-};
-
-// Example 5: Function with empty object (edge case)
-const emptyObjectSchema = {
-    type: 'object',
-    description: 'An empty function for testing purposes',
-    properties: {}
-};
-
-
-const runTests = () => {
-    testJsonSchema(arrayOfPrimitivesSchema, 'addToShoppingList');
-    testJsonSchema(nestedArraysSchema, 'createMealPlan');
-    testJsonSchema(complexNestedSchema, 'processComplexOrder');
-    testJsonSchema(dataFormatsSchema, 'scheduleAppointment');
-    testJsonSchema(emptyObjectSchema, 'emptyFunction');
-}
-
 export default jsonSchema;
 
 export {
@@ -0,0 +1,66 @@
+import YAML from "npm:yaml";
+import { jsonSchemaToFunctionSpec } from "../json-schema/main.js";
+
+// Tools of an MCP (Model Context Protocol) server, as actions. The action's `spec` is the server connection,
+// in YAML or JSON (see the `mcp` native module for its fields), with an optional `tools` list to expose only
+// some of the server's tools. Its `moduleUrl` is 'native:mcp'.
+//
+// Credentials of the server, stored as the action's secret `AUTH` config, are added to the connection:
+// { headers } for http servers, and { env } for stdio servers.
+const ParseMcpSpec = async ({ spec, module: mcp, auth }) => {
+
+  const actions = {};
+
+  if (!spec) return;
+
+  const { tools: toolNames, ...connection } = typeof spec === "string" ? YAML.parse(spec) : spec;
+  const server = {
+    ...connection,
+    ...(auth?.headers || connection.headers ? { headers: { ...connection.headers, ...auth?.headers } } : {}),
+    ...(auth?.env || connection.env ? { env: { ...connection.env, ...auth?.env } } : {}),
+  };
+
+  // 1. List the server's tools, following the pages of the list
+  const tools = [];
+  let cursor;
+  do {
+    const result = await mcp(server, { method: "tools/list", params: cursor ? { cursor } : undefined });
+    tools.push(...(result?.tools || []));
+    cursor = result?.nextCursor;
+  } while (cursor);
+
+  // 2. Create an action for each tool, calling it through the server
+  tools
+    .filter(({ name }) => !toolNames || toolNames.includes(name))
+    .forEach(({ name, title, description, inputSchema = {} }) => {
+      const actionName = name.replace(/[^\w-]+/g, "_");
+
+      actions[actionName] = async ({ _user, _signal, ...args }) => {
+        const result = await mcp(server, {
+          method: "tools/call",
+          params: { name, arguments: args },
+          signal: _signal,
+        });
+        return formatToolResult(result);
+      };
+
+      actions[actionName].spec = jsonSchemaToFunctionSpec({
+        ...inputSchema,
+        description: (description || title || "").replace(/\s+/g, " ").trim(),
+      });
+    });
+
+  return actions;
+};
+
+export default ParseMcpSpec;
+
+// Tool errors are thrown, so they are reported as failed functions. Structured results are preferred, and
+// results made only of text are returned as text.
+const formatToolResult = ({ content = [], structuredContent, isError } = {}) => {
+  const text = content.filter(({ type }) => type === "text").map(({ text }) => text).join("\n");
+  if (isError) throw new Error(text || "Tool call failed");
+  if (structuredContent) return structuredContent;
+  if (content.every(({ type }) => type === "text")) return text;
+  return content;
+};
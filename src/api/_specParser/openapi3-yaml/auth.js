@@ -0,0 +1,143 @@
+// Credentials of OpenAPI actions, added to their requests.
+//
+// Credentials are stored as a secret config named `AUTH`, owned by the action
+// ({ name: 'AUTH', owner: action._id, ownerType: 'action', isSecret: true, value }).
+// Its value maps the names of the spec's `securitySchemes` to their credentials:
+// - apiKey: { value }, or the key itself
+// - http basic: { username, password }
+// - http bearer: { token }, or a login operation of the spec returning the token:
+//   { loginOperationId, credentials (login args), tokenPath, expiresIn (s), expiresInPath }
+// - oauth2, client credentials flow: { clientId, clientSecret, scopes, audience, tokenUrl, clientAuthentication: 'body' | 'header' }
+// Schemes missing from the spec are described with their credentials, e.g.
+// { type: 'apiKey', in: 'header', name: 'X-API-Key', value } or { type: 'bearer', token }.
+
+// Tokens are cached across requests, and refreshed this long before they expire
+const tokens = new Map();
+const expirySkew = 60;
+
+const tokenPaths = ["access_token", "token", "accessToken"];
+
+export const createAuth = ({ document, auth, request, login }) => {
+
+  const schemes = document.components?.securitySchemes || {};
+
+  // 1. Security schemes of an operation: the first requirement with credentials for all its schemes,
+  // along with the schemes that are not described in the spec. Operations without requirements use all
+  // the credentials, and `security: []` makes an operation public.
+  const getSchemes = (operation) => {
+    const requirements = operation.security || document.security;
+    if (!auth || requirements?.length === 0) return [];
+    if (!requirements) return Object.keys(auth).map((name) => ({ name, scopes: [] }));
+    const custom = Object.keys(auth).filter((name) => !schemes[name]);
+    const requirement = requirements.find((req) => Object.keys(req).every((name) => auth[name]));
+    return [
+      ...Object.entries(requirement || {}).map(([name, scopes]) => ({ name, scopes })),
+      ...custom.map((name) => ({ name, scopes: [] })),
+    ];
+  };
+
+  // 2. Adds the credentials to the request, returning the cache keys of the tokens used
+  const apply = async (operation, { headers, queryParams, cookies }, signal) => {
+    const tokenKeys = [];
+    for (const { name, scopes } of getSchemes(operation)) {
+      const credentials = typeof auth[name] === "string" ? { value: auth[name] } : auth[name];
+      const scheme = normalizeScheme(schemes[name] || credentials);
+
+      if (scheme.type === "apiKey") {
+        const value = credentials.value ?? credentials.key;
+        if (scheme.in === "query") queryParams.set(scheme.name, value);
+        else if (scheme.in === "cookie") cookies.push(`${scheme.name}=${encodeURIComponent(value)}`);
+        else headers[scheme.name] = value;
+      } else if (scheme.type === "http" && scheme.scheme === "basic") {
+        headers.Authorization = `Basic ${btoa(`${credentials.username}:${credentials.password ?? ""}`)}`;
+      } else if (scheme.type === "http" && scheme.scheme === "bearer" && credentials.token) {
+        headers.Authorization = `Bearer ${credentials.token}`;
+      } else if (scheme.type === "http" && scheme.scheme === "bearer" && credentials.loginOperationId) {
+        const key = `login:${name}:${JSON.stringify(credentials)}`;
+        tokenKeys.push(key);
+        headers.Authorization = `Bearer ${await getToken(key, () => loginToken(credentials, signal))}`;
+      } else if (scheme.type === "oauth2" || scheme.type === "openIdConnect") {
+        const tokenUrl = credentials.tokenUrl || scheme.flows?.clientCredentials?.tokenUrl;
+        if (!tokenUrl) throw new Error(`Security scheme "${name}" needs a \`tokenUrl\` for the client credentials flow`);
+        const scope = (credentials.scopes || scopes || []).join(" ");
+        const key = `oauth2:${tokenUrl}:${credentials.clientId}:${scope}:${credentials.audience || ""}`;
+        tokenKeys.push(key);
+        headers.Authorization = `Bearer ${await getToken(key, (previous) => clientCredentialsToken({ ...credentials, tokenUrl, scope }, previous, signal))}`;
+      } else {
+        throw new Error(`Security scheme "${name}" (${scheme.type}${scheme.scheme ? ` ${scheme.scheme}` : ""}) is not supported, or its credentials are incomplete`);
+      }
+    }
+    return tokenKeys;
+  };
+
+  // Tokens rejected by the api are fetched again on the next request
+  const invalidate = (tokenKeys) => tokenKeys.forEach((key) => tokens.delete(key));
+
+  // 3. Token of a login operation of the spec
+  const loginToken = async ({ loginOperationId, credentials, tokenPath, expiresIn, expiresInPath }, signal) => {
+    const response = await login(loginOperationId, { ...credentials, _signal: signal });
+    const accessToken = tokenPath ? getPath(response, tokenPath) : tokenPaths.map((path) => response?.[path]).find(Boolean);
+    if (!accessToken) throw new Error(`Login operation "${loginOperationId}" did not return a token${tokenPath ? ` at "${tokenPath}"` : ""}`);
+    return { accessToken, expiresIn: expiresInPath ? getPath(response, expiresInPath) : expiresIn ?? response?.expires_in };
+  };
+
+  // 4. Token of the oauth2 client credentials flow, refreshed with the refresh token when there is one
+  const clientCredentialsToken = async ({ tokenUrl, clientId, clientSecret, scope, audience, clientAuthentication = "body" }, previous, signal) => {
+    const headers = {};
+    const clientParams = {};
+    if (clientAuthentication === "header") {
+      headers.Authorization = `Basic ${btoa(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`)}`;
+    } else {
+      Object.assign(clientParams, { client_id: clientId, client_secret: clientSecret });
+    }
+    const fetchToken = (params) => request(tokenUrl, {
+      method: "POST",
+      headers,
+      body: new URLSearchParams({ ...params, ...clientParams }),
+      signal,
+    });
+
+    let response;
+    if (previous?.refreshToken) {
+      response = await fetchToken({ grant_type: "refresh_token", refresh_token: previous.refreshToken })
+        .catch(() => null);
+    }
+    response = response || await fetchToken({
+      grant_type: "client_credentials",
+      ...(scope ? { scope } : {}),
+      ...(audience ? { audience } : {}),
+    });
+
+    if (!response?.access_token) throw new Error(`Token endpoint ${tokenUrl} did not return an access_token`);
+    return { accessToken: response.access_token, expiresIn: response.expires_in, refreshToken: response.refresh_token };
+  };
+
+  return { apply, invalidate };
+};
+
+// Concurrent requests share the pending token, and expired tokens are fetched again
+const getToken = (key, fetchToken) => {
+  const cached = tokens.get(key);
+  if (cached && !(cached.expiresAt <= Date.now())) return cached.token;
+
+  const entry = {
+    token: fetchToken(cached).then(({ accessToken, expiresIn, refreshToken }) => {
+      const seconds = Number(expiresIn);
+      entry.expiresAt = seconds ? Date.now() + Math.max(seconds - expirySkew, 0) * 1000 : undefined;
+      entry.refreshToken = refreshToken || cached?.refreshToken;
+      return accessToken;
+    }),
+  };
+  tokens.set(key, entry);
+  entry.token.catch(() => tokens.get(key) === entry && tokens.delete(key));
+  return entry.token;
+};
+
+// Custom schemes can use `basic` and `bearer` as types
+const normalizeScheme = (scheme) => {
+  const type = scheme.type?.toLowerCase();
+  if (type === "basic" || type === "bearer") return { type: "http", scheme: type };
+  return { ...scheme, scheme: scheme.scheme?.toLowerCase() };
+};
+
+const getPath = (object, path) => path.split(".").reduce((value, key) => value?.[key], object);
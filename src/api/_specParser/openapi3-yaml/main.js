@@ -1,128 +1,320 @@
 import YAML from "npm:yaml";
-import validate from 'axion-modules/connectors/validator.ts';
+import { createAuth } from "./auth.js";
+import { maxArgDepth, maxArgDescriptionLength, maxDescriptionLength, sanitize, truncate, unflatten } from "../helpers.js";
 
-const ParseOpenApiSpec = ({ spec, module: request }) => {
+const httpMethods = ["get", "put", "post", "delete", "options", "head", "patch", "trace"];
 
-  const { parse } = YAML;
+// Headers that OpenAPI describes elsewhere (content negotiation and security schemes)
+const reservedHeaders = ["accept", "content-type", "authorization"];
+
+const ParseOpenApiSpec = ({ spec, module: request, auth }) => {
 
   const actions = {};
+  const calls = {};
 
   if (!spec) return;
 
-  const operationIds = [];
-
-  const { paths, servers, components } = parse(spec);
-
-  const baseUrl = servers[0].url;
-
-  const globals = {
-    headers: {},
-    query: {},
-    body: {},
-  };
-
-  for (const [path, methods] of Object.entries(paths)) {
-    for (const [method, details] of Object.entries(methods)) {
-
-      const operationId = details.operationId;
-      operationIds.push(operationId);
-      const summary = details.summary;
-      const parameters = details.parameters || [];
-      const args = [];
-      const responses = details.responses || {};
-
-      const schema = { body: {}, query: {} };
-
-      // Adding POST / JSON params
-      if (details.requestBody && details.requestBody.content) {
-        const content = details.requestBody.content["application/json"];
-        if (content && content.schema && content.schema.properties) {
-          Object.entries(content.schema.properties).forEach(
-            ([paramName, paramDetails]) => {
-              schema.body[paramName] = paramDetails.type + (paramDetails.required ? "!" : "");
-              args.push(
-                `${details.requestBody.required ? "!" : ""}${paramName}<${paramDetails.type}>(${paramDetails.description || ""})`,
-              );
-            },
-          );
-        }
+  // Specs can be YAML or JSON documents, or already parsed
+  const document = typeof spec === "string"
+    ? (spec.trim().startsWith("{") ? JSON.parse(spec) : YAML.parse(spec))
+    : spec;
+
+  const { paths = {} } = document;
+  const resolve = createResolver(document);
+
+  // Login operations are called without credentials
+  const credentials = createAuth({
+    document,
+    auth,
+    request,
+    login: (operationId, params) => {
+      if (!calls[operationId]) throw new Error(`Login operation "${operationId}" not found in the spec`);
+      return calls[operationId](params, { authenticate: false });
+    },
+  });
+
+  for (const [path, _pathItem] of Object.entries(paths)) {
+    const pathItem = resolve(_pathItem);
+
+    for (const method of httpMethods) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+
+      const operationId = toActionName(operation.operationId || `${method}${path}`);
+      const baseUrl = getServerUrl(operation.servers || pathItem.servers || document.servers);
+
+      // 1. Parameters of the path item, overridden by the ones of the operation
+      const parameters = {};
+      [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map((param) => resolve(param))
+        .filter((param) => param.in !== "header" || !reservedHeaders.includes(param.name.toLowerCase()))
+        .forEach((param) => {
+          parameters[`${param.in}:${param.name}`] = { ...param, schema: normalizeSchema(param.schema || {}, resolve) };
+        });
+
+      const args = Object.values(parameters).map((param) => formatArg(param.name, param.schema, {
+        required: param.required || param.in === "path",
+        description: param.description,
+      }));
+
+      // 2. Request body, as args for each of its properties, or as a single `body` arg
+      const requestBody = operation.requestBody && resolve(operation.requestBody);
+      const [contentType, media] = Object.entries(requestBody?.content || {})
+        .sort(([a], [b]) => contentTypeRank(a) - contentTypeRank(b))[0] || [];
+      const bodySchema = media && normalizeSchema(media.schema || {}, resolve);
+      const paramNames = Object.values(parameters).map(({ name }) => name);
+      const bodyArgs = bodySchema?.type === "object" && bodySchema.properties
+        ? Object.keys(bodySchema.properties).filter((name) => !paramNames.includes(name))
+        : null;
+
+      if (bodyArgs) {
+        args.push(...formatObjectArgs(bodySchema, {
+          names: bodyArgs,
+          required: requestBody.required,
+        }));
+      } else if (bodySchema) {
+        args.push(formatArg("body", bodySchema, { required: requestBody.required, description: requestBody.description }));
       }
 
-      // Adding Query Params
-      parameters.forEach((param) => {
-        const required = param.required ? "!" : "";
-        const paramName = param.name;
-        const paramType = param.schema.type;
-        const paramDescription = param.description;
-        args.push(`${required}${paramName}<${paramType}>(${paramDescription})`);
-        schema.query[paramName] = param.type + (param.required ? "!" : "");
-      });
-
-      const formattedArgs = args.join(", ");
-
-      // Combine all the parts
-      const spec = `(${summary}):${formattedArgs}->${responses["200"].description}`;
-
-      actions[operationId] = ({ _user, ...params }) => request(
-        new URL(path, baseUrl).href,
-        {
-          method,
-          headers: request?.globals?.headers,
-          body: { ...validate(schema.body, { ...request?.globals?.body, ...params }), _user },
-          query: validate(schema.query, { ...request?.globals?.query, ...params }),
-        }
+      // 3. Combine all the parts
+      const description = truncate(
+        [operation.summary, operation.description].filter(Boolean).map(sanitize).filter((text, index, texts) => texts.indexOf(text) === index).join(". "),
+        maxDescriptionLength
       );
+      const responses = operation.responses || {};
+      const responseKey = ["200", "201"].find((code) => responses[code])
+        || Object.keys(responses).find((code) => code.startsWith("2"))
+        || "default";
+      const responseDescription = truncate(sanitize(responses[responseKey] && resolve(responses[responseKey]).description), maxDescriptionLength);
+
+      const spec = `(${description}):${args.join(", ")}->(${responseDescription})`;
+
+      const required = [
+        ...Object.values(parameters).filter((param) => param.required || param.in === "path").map(({ name }) => name),
+        ...(bodyArgs && requestBody.required ? (bodySchema.required || []).filter((name) => bodyArgs.includes(name)) : []),
+        ...(!bodyArgs && bodySchema && requestBody.required ? ["body"] : []),
+      ];
+
+      calls[operationId] = async ({ _user, _signal, ...params }, { authenticate = true, retried = false } = {}) => {
+        params = unflatten(params);
+
+        const missing = required.filter((name) => params[name] === undefined);
+        if (missing.length) {
+          throw new Error(`Missing required arguments: ${missing.join(", ")}`);
+        }
+        if (!/^https?:\/\//.test(baseUrl)) {
+          throw new Error(`Server url "${baseUrl}" is not absolute: add an absolute url to the \`servers\` of the spec`);
+        }
+
+        // 3.1. Route each arg to its location
+        let url = path;
+        const queryParams = new URLSearchParams();
+        const headers = {};
+        const cookies = [];
+        Object.values(parameters).forEach(({ name, in: location, style, explode }) => {
+          const value = params[name];
+          if (value === undefined) return;
+          if (location === "path") {
+            url = url.replace(`{${name}}`, encodeURIComponent(Array.isArray(value) ? value.join(",") : typeof value === "object" ? JSON.stringify(value) : value));
+          } else if (location === "query") {
+            appendQueryParam(queryParams, name, value, { style, explode });
+          } else if (location === "header") {
+            headers[name] = typeof value === "object" ? JSON.stringify(value) : `${value}`;
+          } else if (location === "cookie") {
+            cookies.push(`${name}=${encodeURIComponent(typeof value === "object" ? JSON.stringify(value) : value)}`);
+          }
+        });
+
+        // 3.2. Add the credentials of the operation's security schemes
+        const tokenKeys = authenticate ? await credentials.apply(operation, { headers, queryParams, cookies }, _signal) : [];
+        if (cookies.length) headers.Cookie = cookies.join("; ");
+
+        const bodyData = bodyArgs
+          ? Object.fromEntries(Object.entries(params).filter(([name]) => !paramNames.includes(name) && (bodyArgs.includes(name) || bodySchema.additionalProperties)))
+          : params.body;
+
+        // 3.3. Encode the body with the content type of the spec
+        let body;
+        if (bodySchema && bodyData !== undefined && !(bodyArgs && !Object.keys(bodyData).length && !requestBody.required)) {
+          if (contentType === "application/x-www-form-urlencoded") {
+            body = new URLSearchParams();
+            Object.entries(bodyData).forEach(([name, value]) => appendQueryParam(body, name, value, {}));
+          } else if (contentType === "multipart/form-data") {
+            body = new FormData();
+            Object.entries(bodyData).forEach(([name, value]) => body.append(name, typeof value === "object" ? JSON.stringify(value) : `${value}`));
+          } else {
+            body = bodyData;
+            if (contentType && contentType !== "application/json") headers["Content-Type"] = contentType;
+          }
+        }
+
+        try {
+          return await request(
+            `${baseUrl.replace(/\/$/, "")}${url}`,
+            {
+              method,
+              headers,
+              body,
+              queryParams,
+              signal: _signal,
+            }
+          );
+        } catch (err) {
+          // 3.4. Expired or revoked tokens are fetched again, once
+          if (err?.status === 401 && tokenKeys.length && !retried) {
+            credentials.invalidate(tokenKeys);
+            return calls[operationId]({ _user, _signal, ...params }, { retried: true });
+          }
+          throw err;
+        }
+      };
+      actions[operationId] = (params) => calls[operationId](params);
       actions[operationId].spec = spec;
     }
   }
 
-  const auth = {};
-  // get auth specs
-  components?.securitySchemes?.forEach((_scheme) => {
-    const { type, name, flows, description, scheme, in: location } = _scheme;
-    if (type === "http" && scheme === "bearer") {
-      auth.type = "bearer";
-      auth.actionName = tool?.auth?.loginOperationId;
-    }
-    else if (type === "http" && scheme === "basic") {
-      auth.type = "basic";
-      globals.headers["Authorization"] = `Basic ${btoa(`${tool.auth?.credentials?.username}:${tool.auth?.credentials?.password}`)}`;
+  return actions;
+};
+
+export default ParseOpenApiSpec;
+
+// Resolves local `$ref`s (e.g. `#/components/schemas/Pet`), including refs to refs
+const createResolver = (document) => (value, seen = []) => {
+  while (value?.$ref) {
+    const ref = value.$ref;
+    if (!ref.startsWith("#/")) {
+      throw new Error(`External $ref "${ref}" is not supported: bundle the spec into a single document`);
     }
-    else if (type === "apiKey") {
-      auth.type = "apiKey";
-      globals[location][name] = tool.auth?.credentials?.[name];
+    if (seen.includes(ref)) return { type: "object", description: value.description };
+    seen = [...seen, ref];
+    value = ref.slice(2).split("/")
+      .map((key) => decodeURIComponent(key).replace(/~1/g, "/").replace(/~0/g, "~"))
+      .reduce((target, key) => target?.[key], document);
+    if (value === undefined) throw new Error(`$ref "${ref}" not found in the spec`);
+  }
+  return value;
+};
+
+// Resolves refs and composition (`allOf`, `oneOf`, `anyOf`) into plain schemas, up to `maxArgDepth` levels of properties
+const normalizeSchema = (_schema, resolve, { seen = [], depth = 0 } = {}) => {
+  const ref = _schema?.$ref;
+  if (ref && seen.includes(ref)) return { type: "object", description: _schema.description };
+  const nextSeen = ref ? [...seen, ref] : seen;
+  const schema = { ...resolve(_schema) };
+  const normalize = (value, level = depth) => normalizeSchema(value, resolve, { seen: nextSeen, depth: level });
+
+  // allOf: all schemas apply, so their properties and required fields are merged
+  if (schema.allOf) {
+    const parts = schema.allOf.map((part) => normalize(part));
+    delete schema.allOf;
+    return mergeObjectSchemas([...parts, normalize(schema)], { keepRequired: true });
+  }
+
+  // oneOf / anyOf: objects are merged with their properties as optional, other types become alternatives
+  const variants = schema.oneOf || schema.anyOf;
+  if (variants) {
+    const parts = variants.map((part) => normalize(part));
+    delete schema.oneOf;
+    delete schema.anyOf;
+    const base = schema.type || schema.properties ? normalize(schema) : { description: schema.description };
+    if (parts.every((part) => part.type === "object")) {
+      const merged = mergeObjectSchemas([base, ...parts.map((part) => ({ ...part, required: [] }))], { keepRequired: true });
+      const names = parts.map((part) => part.title).filter(Boolean);
+      return {
+        ...merged,
+        description: [base.description, names.length ? `one of: ${names.join(", ")}` : ""].filter(Boolean).join("; "),
+      };
     }
-  });
+    const types = [...new Set(parts.map((part) => formatType(part)))];
+    return { ...base, type: types.length === 1 ? parts[0].type : undefined, alternatives: types, items: parts.length === 1 ? parts[0].items : undefined };
+  }
 
-  const getBearerToken = async () => {
-    const loginAction = actions[tool?.auth?.loginOperationId];
-    const token = await loginAction(tool?.auth?.credentials).then(res => res?.[tool?.auth?.[tokenPath]]);
-    return token;
-  };
-
-  const resolver = new Promise((resolve) => {
-    if (auth.type === "bearer") {
-      getBearerToken().then((token) => {
-        globals.headers["Authorization"] = `Bearer ${token}`;
-        resolve();
-      });
-    } else {
-      resolve();
+  if (!schema.type && schema.properties) schema.type = "object";
+  if (Array.isArray(schema.type)) {
+    // OpenAPI 3.1 nullable types (e.g. `[string, "null"]`)
+    const types = schema.type.filter((type) => type !== "null");
+    schema.type = types.length === 1 ? types[0] : undefined;
+    if (types.length > 1) schema.alternatives = types;
+  }
+
+  if (schema.properties) {
+    schema.properties = depth < maxArgDepth
+      ? Object.fromEntries(Object.entries(schema.properties).map(([name, property]) => [name, normalize(property, depth + 1)]))
+      : undefined;
+  }
+  if (schema.items) schema.items = normalize(schema.items, depth + 1);
+  return schema;
+};
+
+const mergeObjectSchemas = (schemas, { keepRequired }) => schemas.reduce((merged, schema) => ({
+  ...merged,
+  ...schema,
+  type: merged.type || schema.type || (schema.properties ? "object" : undefined),
+  properties: merged.properties || schema.properties ? { ...merged.properties, ...schema.properties } : undefined,
+  required: keepRequired ? [...new Set([...(merged.required || []), ...(schema.required || [])])] : [],
+  description: schema.description || merged.description,
+}), {});
+
+// Types are formatted as in the action specs: string, number, boolean, object, date, `array of <type>` or alternatives
+const formatType = (schema = {}) => {
+  if (schema.alternatives) return schema.alternatives.join(" or ");
+  if (schema.type === "integer") return "number";
+  if (schema.type === "string" && ["date", "date-time"].includes(schema.format)) return "date";
+  if (schema.type === "array") return `array of ${formatType(schema.items)}`;
+  return schema.type || "any";
+};
+
+const formatArg = (name, schema, { required, description }) => {
+  const details = [
+    sanitize(description || schema.description),
+    schema.enum ? `one of: ${schema.enum.map((value) => JSON.stringify(value)).join(", ")}` : "",
+    schema.default !== undefined ? `default: ${JSON.stringify(schema.default)}` : "",
+  ].filter(Boolean).join("; ");
+  return `${required ? "!" : ""}${name}<${formatType(schema)}>(${truncate(details, maxArgDescriptionLength)})`;
+};
+
+// Object properties become args, nested objects are expanded in dot notation
+const formatObjectArgs = (schema, { names = Object.keys(schema.properties), required, prefix = "" }) => {
+  return names.flatMap((name) => {
+    const property = schema.properties[name];
+    const isRequired = required && (schema.required || []).includes(name);
+    if (property.type === "object" && property.properties && Object.keys(property.properties).length) {
+      return formatObjectArgs(property, { required: isRequired, prefix: `${prefix}${name}.` });
     }
+    return [formatArg(`${prefix}${name}`, property, { required: isRequired })];
   });
+};
 
-  for (const operationId of operationIds) {
-    // let action = actions[operationId];
-    const action = actions[operationId];
-    actions[operationId] = (params) => resolver.then(() => {
-      action.globals = globals;
-      return action(params)
-    });
-    const { ...methods } = action;
-    Object.assign(actions[operationId], methods);
+// Query params follow the OpenAPI defaults: `form` style, exploded
+const appendQueryParam = (searchParams, name, value, { style = "form", explode = style === "form" }) => {
+  if (Array.isArray(value)) {
+    const delimiter = style === "spaceDelimited" ? " " : style === "pipeDelimited" ? "|" : ",";
+    return explode
+      ? value.forEach((item) => searchParams.append(name, `${item}`))
+      : searchParams.append(name, value.join(delimiter));
+  }
+  if (value && typeof value === "object") {
+    return style === "deepObject"
+      ? Object.entries(value).forEach(([key, item]) => searchParams.append(`${name}[${key}]`, `${item}`))
+      : explode
+        ? Object.entries(value).forEach(([key, item]) => searchParams.append(key, `${item}`))
+        : searchParams.append(name, Object.entries(value).flat().join(","));
   }
+  searchParams.append(name, `${value}`);
+};
 
-  return actions;
+// Server urls may have variables (e.g. `https://{region}.example.com`), replaced by their defaults
+const getServerUrl = (servers = []) => {
+  const { url = "", variables = {} } = servers[0] || {};
+  return Object.entries(variables).reduce((result, [name, { default: value }]) => result.replaceAll(`{${name}}`, value), url);
 };
 
-export default ParseOpenApiSpec;
+// Action names only keep letters, numbers, underscores and dashes, as dots nest actions
+const toActionName = (name) => name.replace(/[^\w-]+/g, "_").replace(/^_+|_+$/g, "");
+
+const contentTypeRank = (contentType) => {
+  if (contentType === "application/json" || /\+json$/.test(contentType)) return 0;
+  if (contentType === "application/x-www-form-urlencoded") return 1;
+  if (contentType === "multipart/form-data") return 2;
+  return 3;
+};
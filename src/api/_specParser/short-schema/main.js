@@ -4,7 +4,7 @@ const shortSchema = async ({ schema, module }) => {
         const result = await module(data)
         return result;
     }
-    fn.spec = shortSchemaToSpec(schema, {});
+    fn.spec = shortSchemaToSpec(schema);
     Object.assign(fn, shortSchema)
     return fn;
 }
@@ -1,5 +1,4 @@
 // chat/main.js
-import validate from "axion-modules/connectors/validator.ts";
 
 /**
  * Main function for the chat agent.
@@ -7,18 +6,46 @@ import validate from "axion-modules/connectors/validator.ts";
  * @param {Object} params - Function parameters.
  * @param {string} params.instructions - Instructions for the agent.
  * @param {string|Array<Object>} params.input - User input, can be a string or an array of objects.
- * @param {string} params.input[].type - Type of the input, can be 'text' or 'image_url'.
+ * @param {string} params.input[].type - Type of the input, can be 'text', 'image_url' or 'file'.
  * @param {string} [params.input[].text] - Text input, required if type is 'text'.
  * @param {Object} [params.input[].image_url] - Image URL input, required if type is 'image_url'.
  * @param {string} params.input[].image_url.url - URL of the image, can be a regular URL or a base64 encoded image.
  * @param {string} params.input[].image_url.detail - Detail about the image.
+ * @param {Object} [params.input[].file] - File input (e.g. a PDF), required if type is 'file'.
+ * @param {string} [params.input[].file.filename] - Name of the file.
+ * @param {string} [params.input[].file.file_data] - Base64 encoded file, as a data URL.
+ * @param {string} [params.input[].file.url] - URL of the file, instead of `file_data`.
  * @param {Object} params.user - User information.
  * @param {Object} params.thread - Thread information.
+ * @param {Array<Object>} [params.tools] - Native tool definitions ({ name, description, parameters }) to send to the provider.
+ * @param {Object} [params.responseSchema] - JSON Schema the answer must follow, sent to providers with structured outputs. Callers validate the answer (`functionCall` asks for a corrected one).
+ * @param {boolean|Object} [params.audioResponse] - Also return the message as audio, with `config.AI_TEXT_TO_SPEECH_PROVIDER`.
+ * @param {string} [params.audioResponse.voice] - Voice, overriding the provider's configuration.
+ * @param {string} [params.audioResponse.format] - 'mp3', 'opus' or 'wav', overriding the provider's configuration.
+ * @param {boolean} [params.audioResponse.stream] - Stream the audio as json lines ({ audio: { index, data } }) instead of returning it.
  * @param {Object} res - Response object.
  * @param {Object} config - Configuration object.
- * @param {Object} config.AI_CHAT_PROVIDER - AI chat provider configuration.
- * @param {string} config.AI_CHAT_PROVIDER.provider - Provider name, e.g., 'openai'.
+ * @param {Object|Array<Object>} config.AI_CHAT_PROVIDER - AI chat provider configuration, or a list of them to fail over to, in order.
+ * @param {string} config.AI_CHAT_PROVIDER.provider - Provider name: 'openai', 'anthropic', 'groq', 'gemini' or 'mock' (scripted answers, for tests).
  * @param {Object} config.AI_CHAT_PROVIDER.options - Additional options for the provider.
+ * @param {string} [config.AI_CHAT_PROVIDER.baseUrl] - 'openai' and 'groq': url of an openai-compatible api, before `/chat/completions` (e.g. vLLM, ollama, LM Studio, OpenRouter).
+ * @param {Object} [config.AI_CHAT_PROVIDER.headers] - 'openai' and 'groq': extra request headers (e.g. `{ 'api-key': ... }` for azure openai).
+ * @param {Object} [config.AI_CHAT_PROVIDER.queryParams] - 'openai' and 'groq': query params of the requests (e.g. `{ 'api-version': ... }` for azure openai).
+ * @param {Object} [config.AI_CHAT_RETRY] - Retries of rate limited (429), failed (5xx) and unreachable providers, before failing over.
+ * @param {number} [config.AI_CHAT_RETRY.maxRetries=2] - Number of retries for each provider.
+ * @param {number} [config.AI_CHAT_RETRY.baseDelay=1000] - Delay before the first retry, in ms, doubled for each retry. A `Retry-After` header takes precedence.
+ * @param {number} [config.AI_CHAT_RETRY.maxDelay=30000] - Maximum delay between retries, in ms.
+ * @param {Object} [config.THREAD_SUMMARY] - Rolling summary of long threads.
+ * @param {boolean} config.THREAD_SUMMARY.enabled - Condense older turns into a summary once the thread passes `maxMessages`.
+ * @param {number} [config.THREAD_SUMMARY.maxMessages=40] - Number of messages that triggers a new summary.
+ * @param {number} [config.THREAD_SUMMARY.keepMessages=10] - Number of recent messages kept verbatim after the summary.
+ * @param {string} [config.THREAD_SUMMARY.instructions] - Additional instructions for the summarizer.
+ * @param {Object} [config.KNOWLEDGE_BASE] - Grounding in the copilotz knowledge bases, searched with the user input.
+ * @param {number} [config.KNOWLEDGE_BASE.limit=5] - Maximum number of chunks added to the prompt.
+ * @param {number} [config.KNOWLEDGE_BASE.minScore=0.3] - Minimum cosine similarity of the chunks.
+ * @param {Object} [config.STRUCTURED_OUTPUT] - Enforcement of the output schemas of `functionCall`.
+ * @param {number} [config.STRUCTURED_OUTPUT.maxAttempts=3] - Number of answers requested before failing with INVALID_JSON.
+ * @param {Object} [config.AI_EMBEDDING_PROVIDER] - AI embedding provider configuration: { provider: 'openai' or 'ollama', model, batchSize, baseUrl (ollama) }.
  * @param {Object} env - Environment variables.
  * @param {string} env.OPENAI_CREDENTIALS_apiKey - API key for OpenAI.
  * @param {string} env.OTHER_PROVIDER_CREDENTIALS_apiKey - API key for another provider.
@@ -38,11 +65,16 @@ const chatAgent = async (
         thread,
         threadLogs,
         answer,
+        tools,
+        responseSchema,
+        audioResponse,
         agentType,
         options,
     },
     res
 ) => {
+    // Nested agent calls share the thread logs of the agent that called them, which saves the turn
+    const isEntryAgent = !agentType;
     agentType = agentType || 'chat';
 
     console.log(`[chatAgent] Starting chat agent`);
@@ -59,13 +91,13 @@ const chatAgent = async (
     } = chatAgent;
 
     // 1.1 Extract Utils
-    const { createPrompt, getThreadHistory, jsonSchemaToShortSchema } = utils;
+    const { createPrompt, retryWithBackoff, isRetryableError, throwIfAborted, getThreadHistory, saveThreadMessages, archiveThreadMessages, isSummaryMessage, getTextContent } = utils;
 
     // 1.2 Extract Dependencies
-    const { ai, agents } = modules;
+    const { ai, agents, native } = modules;
 
     // 1.3 Extract Resources
-    const { copilotz, config } = resources;
+    const { copilotz, config, thread: threadDoc, signal } = resources;
 
     // 1.3 Override Base Schemas
     const baseInputSchema = overrideBaseInputSchema || _baseInputSchema;
@@ -84,18 +116,9 @@ const chatAgent = async (
     console.log(
         `[chatAgent] Fetching thread history for threadId: ${threadId}`
     );
-    console.log(`[functionCall] Fetching thread history`);
-
-    if (!threadLogs || !threadLogs?.length) {
-        const lastLog = await getThreadHistory(thread.extId, { functionName: 'chatAgent', maxRetries: 10 })
-        if (lastLog) {
-            const { prompt, ...agentResponse } = lastLog;
-            threadLogs = prompt || [];
-            const validatedLastAgentResponse = validate(jsonSchemaToShortSchema(outputSchema), agentResponse);
-            threadLogs.push({ role: 'assistant', content: validatedLastAgentResponse.message });
-        } else {
-            threadLogs = [];
-        }
+
+    if (!threadLogs) {
+        threadLogs = await getThreadHistory(threadDoc);
     }
 
     // 4. Process User Input
@@ -126,6 +149,72 @@ const chatAgent = async (
         threadLogs.push(transcribedMessage);
     }
 
+    // 4.3. If Thread is Too Long, Condense Older Turns into a Summary
+    let summaryConsumption;
+    const summaryConfig = config?.THREAD_SUMMARY;
+    if (summaryConfig?.enabled && agentType !== 'summarizer') {
+        const maxMessages = summaryConfig.maxMessages || 40;
+        const keepMessages = summaryConfig.keepMessages || 10;
+        const turns = threadLogs.filter((message) => !isSummaryMessage(message));
+
+        if (turns.length > maxMessages) {
+            // Kept turns must start with a user message, so function calls are never split from their results
+            let splitIndex = Math.max(turns.length - keepMessages, 1);
+            while (splitIndex < turns.length && turns[splitIndex].role !== 'user') splitIndex++;
+
+            if (splitIndex < turns.length) {
+                console.log(`[chatAgent] Summarizing ${splitIndex} older messages`);
+                const condensedMessages = [...threadLogs.filter(isSummaryMessage), ...turns.slice(0, splitIndex)];
+                const summarizer = agents.summarizer;
+                Object.assign(summarizer, chatAgent);
+                const { message: summary, consumption } = await summarizer(
+                    {
+                        threadLogs: condensedMessages,
+                        instructions: summaryConfig.instructions,
+                        thread,
+                    },
+                    res
+                );
+                summaryConsumption = consumption;
+
+                // Condensed messages are no longer loaded as history
+                await archiveThreadMessages(condensedMessages);
+
+                // Replace older turns in place, so recursive agent calls sharing threadLogs see the summary
+                threadLogs.splice(
+                    0,
+                    threadLogs.length,
+                    { role: 'system', name: 'summary', content: createPrompt(summaryPromptTemplate, { summary }) },
+                    ...turns.slice(splitIndex)
+                );
+            }
+        }
+    }
+
+    // 4.4. If Copilotz has Knowledge Bases, Retrieve Context for the User Input
+    let knowledgePrompt = '';
+    if (copilotz?.knowledgeBases?.length && input && agentType !== 'summarizer') {
+        const query = getTextContent(input);
+        try {
+            console.log(`[chatAgent] Searching knowledge bases`);
+            const rag = native.rag;
+            Object.assign(rag, chatAgent);
+            const results = query
+                ? await rag({ operation: 'search', query, ...config?.KNOWLEDGE_BASE, _signal: signal })
+                : [];
+            if (results.length) {
+                knowledgePrompt = createPrompt(knowledgePromptTemplate, {
+                    knowledge: results
+                        .map(({ content, document }) => `<source name="${document?.name || ''}">\n${content}\n</source>`)
+                        .join('\n'),
+                });
+            }
+        } catch (err) {
+            // answer without grounding rather than failing the turn
+            console.error(`[chatAgent] Error searching knowledge bases`, err);
+        }
+    }
+
     // 5. Create Prompt
     console.log(`[chatAgent] Creating prompt`);
     // 5.1 Create Prompt Variables
@@ -143,33 +232,75 @@ const chatAgent = async (
         }),
     };
     // 5.2 Create Prompt Instructions
-    const fullPrompt = createPrompt(instructions || promptTemplate, promptVariables, { removeUnusedVariables: true });
+    const fullPrompt = createPrompt(instructions || promptTemplate, promptVariables, { removeUnusedVariables: true })
+        // appended, so custom instructions are grounded as well
+        + knowledgePrompt;
 
-    // 6. Get AI Chat
-    const { provider, ...providerOptions } = config?.AI_CHAT_PROVIDER || {
+    // 6. Get AI Chat Providers, in order of preference
+    const providers = [].concat(config?.AI_CHAT_PROVIDER || {
         provider: 'openai',
-    }; // use openai as default provider
-    const aiChat = ai.chat[provider];
+    }); // use openai as default provider
+    providers.forEach(({ provider }) => {
+        if (!ai.chat[provider]) {
+            throw { status: 400, message: `AI chat provider "${provider}" not found. Available providers: ${Object.keys(ai.chat).join(', ')}` };
+        }
+    });
 
     // 7. Execute AI Chat
-    // 7.1. Assign configuration to AI Chat
-    Object.assign(aiChat, {
-        __requestId__,
-        config: {
-            ...providerOptions,
-            apiKey:
-                config?.[`${provider}_CREDENTIALS`]?.apiKey || // check for custom credentials in config
-                env?.[`${provider}_CREDENTIALS_apiKey`], // use default credentials from env
-        },
-        env,
-    });
+    // 7.1. Call the providers in order, retrying retryable errors with backoff before failing over to the next one
+    let streamed = false;
+    const streamToken = (token) => {
+        streamed = true;
+        res.stream(token);
+    };
+    let usedProvider;
+    const callAiChat = async (chat) => {
+        let lastError;
+        for (const [index, { provider, ...providerOptions }] of providers.entries()) {
+            const aiChat = ai.chat[provider];
+            Object.assign(aiChat, {
+                __requestId__,
+                config: {
+                    ...providerOptions,
+                    apiKey:
+                        config?.[`${provider}_CREDENTIALS`]?.apiKey || // check for custom credentials in config
+                        env?.[`${provider}_CREDENTIALS_apiKey`], // use default credentials from env
+                },
+                env,
+                signal,
+            });
+            console.log(`[chatAgent] Executing AI chat with provider: ${provider}${providerOptions.model ? ` (${providerOptions.model})` : ''}`);
+            try {
+                const result = await retryWithBackoff(
+                    () => aiChat(chat, config.streamResponseBy === 'token' ? streamToken : () => { }),
+                    {
+                        ...config?.AI_CHAT_RETRY,
+                        signal,
+                        // a partly streamed answer cannot be taken back
+                        shouldRetry: (err) => !streamed && isRetryableError(err),
+                        onRetry: (err, { retry, delay }) => console.log(`[chatAgent] Provider ${provider} failed (${err.status || err.message}), retry ${retry} in ${delay}ms`),
+                    }
+                );
+                usedProvider = { name: provider, model: result.model || providerOptions.model };
+                return result;
+            } catch (err) {
+                throwIfAborted(signal);
+                lastError = err;
+                if (streamed || !isRetryableError(err)) throw err;
+                if (index < providers.length - 1) {
+                    console.log(`[chatAgent] Provider ${provider} failed (${err.status || err.message}), failing over to ${providers[index + 1].provider}`);
+                }
+            }
+        }
+        throw lastError;
+    };
 
     // 7.2. Execute AI Chat
-    console.log(`[chatAgent] Executing AI chat with provider: ${provider}`);
-    const { prompt, tokens, answer: assistantAnswer } = await aiChat(
-        { instructions: fullPrompt, messages: threadLogs, answer },
-        config.streamResponseBy === 'token' ? res.stream : () => { }
+    throwIfAborted(signal);
+    const { prompt, tokens, usage, answer: assistantAnswer, toolCalls } = await callAiChat(
+        { instructions: fullPrompt, messages: threadLogs, answer, tools, responseSchema }
     );
+    console.log(`[chatAgent] Answered by provider: ${usedProvider.name}${usedProvider.model ? ` (${usedProvider.model})` : ''}`);
 
     // 8. Prepare Response
     console.log(`[chatAgent] Preparing response`);
@@ -184,13 +315,38 @@ const chatAgent = async (
     const response = {
         prompt, // Array of messages with 'role' and 'content'
         message,
+        ...(toolCalls?.length ? { toolCalls } : {}),
+        provider: usedProvider,
         consumption: {
             type: 'tokens',
-            value: tokens,
+            value: (usage?.totalTokens ?? tokens ?? 0) + (summaryConsumption?.value || 0),
+            promptTokens: (usage?.promptTokens || 0) + (summaryConsumption?.promptTokens || 0),
+            completionTokens: (usage?.completionTokens || 0) + (summaryConsumption?.completionTokens || 0),
+            cachedTokens: (usage?.cachedTokens || 0) + (summaryConsumption?.cachedTokens || 0),
+            ...(usage?.estimated || summaryConsumption?.estimated ? { estimated: true } : {}),
         },
     };
 
-    // 10. Return Response
+    // 10. Save Thread Messages
+    if (isEntryAgent) {
+        console.log(`[chatAgent] Saving thread messages`);
+        threadLogs.push({ role: 'assistant', content: message });
+        await saveThreadMessages(threadDoc, threadLogs, { agentType, requestId: __requestId__ });
+    }
+
+    // 11. Synthesize Audio Response
+    if (audioResponse && isEntryAgent && message) {
+        console.log(`[chatAgent] Synthesizing audio response`);
+        const speaker = agents.speaker;
+        Object.assign(speaker, chatAgent);
+        const { audio, consumption } = await speaker(
+            { text: message, ...(typeof audioResponse === 'object' ? audioResponse : {}), agentType },
+            res
+        );
+        response.audio = { ...audio, consumption };
+    }
+
+    // 12. Return Response
     console.log(`[chatAgent] Returning response`);
     return response;
 };
@@ -231,6 +387,23 @@ Current Date Time:
 `;
 
 
+const summaryPromptTemplate = `
+## Conversation Summary
+Summary of the earlier turns of this conversation:
+<summary>
+{{summary}}
+</summary>
+`;
+
+const knowledgePromptTemplate = `
+================
+## Knowledge Base
+Use the following excerpts from your knowledge base to answer. If they are not relevant, ignore them:
+<knowledge>
+{{knowledge}}
+</knowledge>
+`;
+
 const _baseInputSchema = {
     type: 'object',
     properties: {
@@ -252,6 +425,31 @@ const _baseOutputSchema = {
         message: {
             type: 'string',
         },
+        provider: {
+            type: 'object',
+            properties: {
+                name: {
+                    type: 'string',
+                },
+                model: {
+                    type: 'string',
+                },
+            },
+        },
+        audio: {
+            type: 'object',
+            properties: {
+                data: {
+                    type: 'string',
+                },
+                format: {
+                    type: 'string',
+                },
+                mimeType: {
+                    type: 'string',
+                },
+            },
+        },
         consumption: {
             type: 'object',
             properties: {
@@ -261,6 +459,18 @@ const _baseOutputSchema = {
                 value: {
                     type: 'number',
                 },
+                promptTokens: {
+                    type: 'number',
+                },
+                completionTokens: {
+                    type: 'number',
+                },
+                cachedTokens: {
+                    type: 'number',
+                },
+                estimated: {
+                    type: 'boolean',
+                },
             },
         },
     },
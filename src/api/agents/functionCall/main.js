@@ -10,7 +10,7 @@ const functionCall = async (
   {
     threadLogs,
     outputSchema,
-    actionModules,
+    actionModules = {},
     inputSchema,
     overrideBaseInputSchema,
     overrideBaseOutputSchema,
@@ -18,28 +18,38 @@ const functionCall = async (
     input,
     audio,
     answer,
+    audioResponse,
     user,
     thread,
     agentType,
     options,
     iterations = 0,
+    attempt = 1,
   },
   res
 ) => {
+  // Nested agent calls share the thread logs of the agent that called them, which saves the turn
+  const isEntryAgent = !agentType;
   agentType = agentType || 'functionCall';
 
-  console.log(`[functionCall] Starting iteration ${iterations}`);
+  console.log(`[functionCall] Starting iteration ${iterations}${attempt > 1 ? `, attempt ${attempt}` : ''}`);
 
   let actions = {};
 
   // 1. Extract Modules, Resources, Utils, and Dependencies
-  const { modules, resources, utils, env } = functionCall;
+  const { __requestId__, modules, resources, utils, env } = functionCall;
 
   // 1.1 Extract Utils
-  const { createPrompt, _, getThreadHistory, jsonSchemaToShortSchema, mergeSchemas } = utils;
+  const { createPrompt, _, abortable, loadActions, throwIfAborted, getTextContent, getThreadHistory, saveThreadMessages, jsonSchemaToShortSchema, mergeSchemas, actionsToTools, toToolName, toolCallsToMessages } = utils;
 
   // 1.2 Extract Resources
-  const { copilotz, config } = resources;
+  const { copilotz, config, thread: threadDoc, signal } = resources;
+
+  // 1.2.1 Stop when the request was cancelled or the turn timed out
+  throwIfAborted(signal);
+
+  // 1.2.2 Send actions as native provider tools instead of describing them in the prompt
+  const nativeToolCalling = config?.functionCallMode === 'native';
 
   // 1.3 Override Base Schemas
   const baseInputSchema = overrideBaseInputSchema || _baseInputSchema;
@@ -53,41 +63,10 @@ const functionCall = async (
   if (copilotz?.actions?.length) {
     console.log(`[functionCall] Processing ${copilotz.actions.length} actions`);
 
-    // 2.1. For each action available:
-    const actionsArray = await Promise.all(
-      copilotz.actions.map(async (_action) => {
-        console.log(`[functionCall] Processing action: ${_action.specType}`);
-        const [specParser, actionModule] = await Promise.all([
-          // 2.1. Get action spec parser
-          import(new URL(`../../_specParser/${_action.specType}`, import.meta.url)).then((module) => module.default),
-          // 2.2. Get action module
-          _action.moduleUrl?.startsWith('http')
-            ? import(_action.moduleUrl).then((module) => module.default)
-            : _action.moduleUrl?.startsWith('native:')
-              ? import(new URL(`../../modules/${_action.moduleUrl.slice(7)}`, import.meta.url)).then((module) => module.default)
-              : { error: true, status: 400, message: `Invalid Module URL: namespace for ${_action.moduleUrl} not found. Should either start with 'http:', 'https:', or 'native:'.` },
-        ]);
-
-        // 2.3. Check for errors
-        if (actionModule.error) throw actionModule;
-
-        // 2.4. Add current dependencies to actionModule and specParser
-        Object.assign(actionModule, functionCall);
-        Object.assign(specParser, functionCall);
-
-        // 2.5. Parse spec
-        const action = specParser({ spec: _action.spec, module: actionModule });
-        return action;
-      })
-    );
-
-    // 2.6. Reduce actionsArray to actionsObj
-    const actionsObj = actionsArray.reduce((acc, obj) => {
-      Object.assign(acc, obj);
-      return acc;
-    }, {});
+    // 2.1. Parse each action's spec into functions calling its module
+    const actionsObj = await loadActions(copilotz.actions, functionCall);
 
-    // 2.7. Expand and merge to dot notation;
+    // 2.2. Expand and merge to dot notation;
     actions = getDotNotationObject(actionsObj);
   }
   actions = { ...actionModules, ...actions }
@@ -101,34 +80,64 @@ const functionCall = async (
 
   console.log(`[functionCall] Generated ${Object.keys(actions).length} action specs`);
 
+  // 3.1. Get Native Tools
+  let tools;
+  const toolNames = {};
+  if (nativeToolCalling) {
+    tools = actionsToTools(actions);
+    Object.keys(actions).forEach((name) => {
+      toolNames[toToolName(name)] = name;
+    });
+
+    // 3.1.1. Custom output properties are submitted through the `callback` tool
+    const callbackProperties = Object.keys(outputSchema.properties || {})
+      .filter((key) => !_baseOutputSchema.properties[key]);
+    if (callbackProperties.length) {
+      tools.push({
+        name: 'callback',
+        description: 'Submits the structured fields of your response',
+        parameters: {
+          type: 'object',
+          properties: _.pick(outputSchema.properties, callbackProperties),
+          required: (outputSchema.required || []).filter((key) => callbackProperties.includes(key)),
+        },
+      });
+    }
+  }
+
   // 4. Create Prompt
-  const functionsPrompt = createPrompt(promptTemplate, {
-    responseFormatPrompt: createPrompt(
-      responseFormatPromptTemplate({ outputSchema, inputSchema }, jsonSchemaToShortSchema),
-      {}
-    ),
-    functionCallsPrompt: createPrompt(functionCallsPromptTemplate, {
-      availableFunctions: actionSpecs,
-    }),
-  });
+  const functionsPrompt = nativeToolCalling
+    ? createPrompt(nativePromptTemplate, {})
+    : createPrompt(promptTemplate, {
+      responseFormatPrompt: createPrompt(
+        responseFormatPromptTemplate({ outputSchema, inputSchema }, jsonSchemaToShortSchema),
+        {}
+      ),
+      functionCallsPrompt: createPrompt(functionCallsPromptTemplate, {
+        availableFunctions: actionSpecs,
+      }),
+    });
 
   // 5. Validate and Format Input
-  const formattedInput = input
-    ? JSON.stringify(validate(jsonSchemaToShortSchema(inputSchema), { message: input }))
-    : '';
+  // 5.1 Multimodal input: its text is formatted as the message, and its images and files are sent along
+  const inputParts = Array.isArray(input) ? input : null;
+  const inputText = inputParts ? getTextContent(inputParts) : input;
+  const formattedText = !input
+    ? ''
+    : nativeToolCalling
+      ? validate(jsonSchemaToShortSchema(inputSchema), { message: inputText }).message
+      : JSON.stringify(validate(jsonSchemaToShortSchema(inputSchema), { message: inputText }));
+  const formattedInput = inputParts
+    ? [
+      ...(formattedText ? [{ type: 'text', text: formattedText }] : []),
+      ...inputParts.filter((part) => typeof part === 'object' && part?.type !== 'text'),
+    ]
+    : formattedText;
 
   // 6. Get Thread Logs
   console.log(`[functionCall] Fetching thread history`);
-  if (!threadLogs || !threadLogs?.length) {
-    const lastLog = await getThreadHistory(thread.extId, { functionName: 'functionCall', maxRetries: 10 })
-    if (lastLog) {
-      const { prompt, ...agentResponse } = lastLog;
-      threadLogs = prompt || [];
-      const validatedLastAgentResponse = validate(jsonSchemaToShortSchema(outputSchema), agentResponse);
-      threadLogs.push({ role: 'assistant', content: JSON.stringify(validatedLastAgentResponse) });
-    } else {
-      threadLogs = [];
-    }
+  if (!threadLogs) {
+    threadLogs = await getThreadHistory(threadDoc);
   }
 
   // 7. Call Chat Agent
@@ -145,20 +154,34 @@ const functionCall = async (
       input: formattedInput,
       audio,
       agentType,
+      tools,
+      // native tool calls answer in plain text, with custom fields in the `callback` tool
+      responseSchema: nativeToolCalling ? undefined : outputSchema,
       instructions: functionsPrompt + instructions,
     },
     res
   );
   console.log(`[functionCall] Chat agent response received`);
 
+  const { toolCalls, ...chatAgentResult } = chatAgentResponse || {};
+
   let functionAgentResponse = {};
+  let corrected = false;
 
   // 8. Validate and Format Output
-  if (chatAgentResponse?.message) {
+  if (chatAgentResponse?.message || toolCalls?.length) {
     console.log(`[functionCall] Validating and formatting output`);
     let responseJson = {};
     try {
-      const unvalidatedResponseJson = JSON.parse(jsonrepair(chatAgentResponse.message));
+      const unvalidatedResponseJson = nativeToolCalling
+        ? {
+          ...toolCalls?.find(({ name }) => name === 'callback')?.args,
+          // answers with only tool calls have no text
+          message: chatAgentResponse.message || '',
+          hasFollowUp: !toolCalls?.length,
+          functions: (toolCalls || []).map(({ id, name, args }) => ({ id, name: toolNames[name] || name, args })),
+        }
+        : JSON.parse(jsonrepair(chatAgentResponse.message));
 
       responseJson = validate(
         jsonSchemaToShortSchema(outputSchema),
@@ -171,11 +194,12 @@ const functionCall = async (
       );
 
       functionAgentResponse = {
-        ...chatAgentResponse,
+        ...chatAgentResult,
         ...responseJson,
         consumption: {
           type: 'actions',
           value: responseJson?.functions?.length || 0,
+          attempts: attempt,
         },
       };
 
@@ -196,24 +220,67 @@ const functionCall = async (
     } catch (err) {
       let errorMessage;
       responseJson.functions = [];
-      console.log('[functionCall] INVALID JSON, Trying again!', err);
       if (typeof err === 'string') {
         errorMessage = err;
       } else if (err.message) {
         errorMessage = err.message;
       } else {
-        errorMessage = 'INVALID JSON, Trying again!';
+        errorMessage = 'INVALID JSON';
       }
-      throw {
-        ...chatAgentResponse,
-        ...responseJson,
-        error: { code: 'INVALID_JSON', message: errorMessage },
-      };
+
+      // 8.1. Give up after the last attempt
+      const maxAttempts = config?.STRUCTURED_OUTPUT?.maxAttempts || 3;
+      if (attempt >= maxAttempts) {
+        console.log(`[functionCall] INVALID JSON after ${attempt} attempts, giving up`, err);
+        throw {
+          ...chatAgentResult,
+          ...responseJson,
+          consumption: { type: 'actions', value: 0, attempts: attempt },
+          error: { code: 'INVALID_JSON', message: errorMessage },
+        };
+      }
+
+      // 8.2. Append the invalid answer and its error as a corrective turn, and call the model again.
+      // Like the chat agent's retries, the corrective turn is not part of the thread: it is removed once answered.
+      console.log(`[functionCall] INVALID JSON (attempt ${attempt}/${maxAttempts}), trying again!`, err);
+      const correctiveTurn = [
+        { role: 'assistant', content: chatAgentResponse.message || '' },
+        { role: 'user', content: createPrompt(invalidJsonPromptTemplate, { error: errorMessage }) },
+      ];
+      threadLogs.push(...correctiveTurn);
+      try {
+        functionAgentResponse = await functionCall(
+          {
+            input: '',
+            actionModules,
+            outputSchema,
+            inputSchema,
+            overrideBaseInputSchema,
+            overrideBaseOutputSchema,
+            user,
+            thread,
+            threadLogs,
+            instructions,
+            options,
+            iterations,
+            attempt: attempt + 1,
+            agentType,
+          },
+          res
+        );
+      } finally {
+        correctiveTurn.forEach((message) => {
+          const index = threadLogs.indexOf(message);
+          if (index !== -1) threadLogs.splice(index, 1);
+        });
+      }
+      // the corrected call already executed its functions
+      corrected = true;
     }
 
     // 9. Execute Functions
     console.log('[functionCall] Available actions:', Object.keys(actions));
-    if (functionAgentResponse?.functions) {
+    if (!corrected && functionAgentResponse?.functions) {
       console.log(`[functionCall] Executing ${functionAgentResponse.functions.length} functions`);
       functionAgentResponse.functions = await Promise.all(
         functionAgentResponse.functions.map(async (func) => {
@@ -229,16 +296,37 @@ const functionCall = async (
           }
 
           func.status = 'pending';
+          // Actions are aborted with the request, or after `config.TIMEOUTS.action` (in ms)
+          const actionTimeout = config?.TIMEOUTS?.action;
+          const actionSignal = AbortSignal.any([
+            signal,
+            actionTimeout ? AbortSignal.timeout(actionTimeout) : undefined,
+          ].filter(Boolean));
           try {
             console.log(`[functionCall] Executing function: ${func.name}`);
-            const actionResult = await Promise.resolve(action({ ...func.args, _user: user }));
+            const actionResult = await abortable(
+              Promise.resolve(action({ ...func.args, _user: user, _signal: actionSignal })),
+              actionSignal
+            );
             func.status = 'ok';
             func.results = actionResult || { message: 'function call returned `undefined`' };
             console.log(`[functionCall] Function ${func.name} executed successfully`);
           } catch (err) {
-            console.log('[functionCall] Error executing function', func.name, err);
-            func.status = 'failed';
-            func.results = { error: { code: 'FUNCTION_ERROR', message: err.message } };
+            if (actionSignal.aborted) {
+              console.log(`[functionCall] Function ${func.name} was aborted`);
+              func.status = 'timeout';
+              func.results = {
+                error: !signal?.aborted
+                  ? { code: 'TIMEOUT', message: `Function exceeded the ${actionTimeout}ms time limit` }
+                  : signal.reason?.name === 'TimeoutError'
+                    ? { code: 'TIMEOUT', message: 'Function was aborted when the turn timed out' }
+                    : { code: 'CANCELLED', message: 'Function was cancelled with the request' },
+              };
+            } else {
+              console.log('[functionCall] Error executing function', func.name, err);
+              func.status = 'failed';
+              func.results = { error: { code: 'FUNCTION_ERROR', message: err.message } };
+            }
           }
 
           return func;
@@ -251,25 +339,34 @@ const functionCall = async (
   }
 
   // 10. Recursion Handling
-  if (functionAgentResponse?.functions?.length && iterations < maxIter) {
+  if (!corrected && functionAgentResponse?.functions?.length && iterations < maxIter) {
     if (!Object.keys(actionModules).some(actionName => functionAgentResponse.functions.map(func => func.name).includes(actionName))) {
       if (!functionAgentResponse?.hasFollowUp || functionAgentResponse?.functions?.length) {
 
-        const assistantMessage = JSON.stringify(
-          validate(jsonSchemaToShortSchema(_baseOutputSchema), functionAgentResponse)
-        );
-
-        // Update threadLogs for recursion, including only relevant properties
-        threadLogs.push({
-          role: 'assistant',
-          content: assistantMessage,
-        });
+        if (nativeToolCalling) {
+          // Update threadLogs for recursion with the tool calls and their results
+          threadLogs.push(...toolCallsToMessages(functionAgentResponse));
+        } else {
+          const assistantMessage = JSON.stringify(
+            validate(jsonSchemaToShortSchema(_baseOutputSchema), functionAgentResponse)
+          );
+
+          // Update threadLogs for recursion, including only relevant properties
+          threadLogs.push({
+            role: 'assistant',
+            content: assistantMessage,
+          });
+        }
 
         console.log(`[functionCall] Recursively calling functionCall for next iteration`);
-        return await functionCall(
+        functionAgentResponse = await functionCall(
           {
             input: '',
             actionModules,
+            outputSchema,
+            inputSchema,
+            overrideBaseInputSchema,
+            overrideBaseOutputSchema,
             user,
             thread,
             threadLogs,
@@ -284,8 +381,34 @@ const functionCall = async (
     }
   }
 
+  // 11. Save Thread Messages
+  if (isEntryAgent) {
+    console.log(`[functionCall] Saving thread messages`);
+    if (Object.keys(functionAgentResponse).length) {
+      threadLogs.push({
+        role: 'assistant',
+        content: nativeToolCalling
+          ? functionAgentResponse.message
+          : JSON.stringify(validate(jsonSchemaToShortSchema(outputSchema), functionAgentResponse)),
+      });
+    }
+    await saveThreadMessages(threadDoc, threadLogs, { agentType, requestId: __requestId__ });
+  }
+
+  // 12. Synthesize Audio Response
+  if (audioResponse && isEntryAgent && functionAgentResponse?.message) {
+    console.log(`[functionCall] Synthesizing audio response`);
+    const speaker = modules.agents.speaker;
+    Object.assign(speaker, functionCall);
+    const { audio, consumption } = await speaker(
+      { text: functionAgentResponse.message, ...(typeof audioResponse === 'object' ? audioResponse : {}), agentType },
+      res
+    );
+    functionAgentResponse.audio = { ...audio, consumption };
+  }
+
   console.log(`[functionCall] Finished iteration ${iterations}`);
-  // 11. Return Response
+  // 13. Return Response
   return functionAgentResponse;
 };
 
@@ -300,6 +423,18 @@ const promptTemplate = `
 ===============
 `;
 
+const nativePromptTemplate = `
+## Function Call Instructions
+
+Guidelines:
+- Use the tools available to you whenever they help you fulfill the user's request. Independent tools can be called in parallel.
+- Do not attempt to call tools that are not available. If there are no tools available, do not call any tools.
+- Look back in the tool results to see the outcome of your last function calls.
+- If a function fails, diagnose if there's any error in the args you've passed. If so, retry. If not, provide a clear message to the user.
+- Your text response is shown to the user as is. Do not format it as JSON.
+===============
+`;
+
 const functionCallsPromptTemplate = `
 ### Available Functions
 
@@ -336,6 +471,14 @@ Guidelines:
 - Specify function names and arguments clearly.
 `;
 
+const invalidJsonPromptTemplate = `
+Your last message could not be processed:
+<error>
+{{error}}
+</error>
+Reply again, following the messages format. Do not apologize or mention the error to the user.
+`;
+
 const _baseOutputSchema = {
   "$schema": "http://json-schema.org/draft-07/schema#",
   "type": "object",
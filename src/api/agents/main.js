@@ -2,3 +2,5 @@ export { default as chat } from './chat/main.js';
 export { default as functionCall } from './functionCall/main.js';
 export { default as taskManager } from './taskManager/main.js';
 export { default as transcriber } from './transcriber/main.js';
+export { default as summarizer } from './summarizer/main.js';
+export { default as speaker } from './speaker/main.js';
@@ -1,4 +1,5 @@
 import lodash from "npm:lodash";
+import { sleep } from "../ai/chat/helpers.js";
 
 
 function jsonSchemaToShortSchema(jsonSchema, { detailed } = {}) {
@@ -54,7 +55,10 @@ function mergeSchemas(schema1, schema2) {
     if (Array.isArray(prop1) && Array.isArray(prop2)) {
       return mergeArrays(prop1, prop2);
     } else if (prop1.properties && prop2.properties) {
-      merged.properties = mergeSchemas(prop1.properties, prop2.properties);
+      // nested objects are schemas themselves, not properties maps
+      const { properties, required } = mergeSchemas(prop1, prop2);
+      merged.properties = properties;
+      if (required.length) merged.required = required;
     }
     return merged;
   }
@@ -111,47 +115,360 @@ const mentionsExtractor = ({ input }) => {
 }
 
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+function parseActionSpec(spec = '') {
+  // Action specs are formatted as `(description): !arg<type>(description), ...->(response_description)`
+  let signature = spec.trim();
+  const responseIndex = signature.lastIndexOf('->(');
+  if (responseIndex !== -1) signature = signature.slice(0, responseIndex);
 
-const getThreadHistory = async (threadId, { functionName, maxRetries, toAppend }) => {
+  let description = '';
+  if (signature.startsWith('(')) {
+    let depth = 0;
+    for (let i = 0; i < signature.length; i++) {
+      if (signature[i] === '(') depth++;
+      if (signature[i] === ')') depth--;
+      if (!depth) {
+        description = signature.slice(1, i);
+        signature = signature.slice(i + 1);
+        break;
+      }
+    }
+  }
+
+  function convertType(type) {
+    type = type.replace(/^(required|optional|unique) /, '');
+    if (type.startsWith('array of ')) return { type: 'array', items: convertType(type.slice(9)) };
+    switch (type) {
+      case 'string':
+      case 'number':
+      case 'boolean':
+      case 'object':
+        return { type };
+      case 'array':
+        return { type, items: {} };
+      case 'integer':
+        return { type: 'number' };
+      case 'date':
+        return { type: 'string', format: 'date-time' };
+      default:
+        return {};
+    }
+  }
+
+  const parameters = { type: 'object', properties: {}, required: [] };
+  const argRegex = /(!?)([\w$-]+(?:\.[\w$-]+)*)<([^>]*)>(?:\s*\(((?:[^()]|\([^()]*\))*)\))?/g;
 
-  console.log(`[getThreadHistory] Getting thread history for ${threadId} with functionName ${functionName}`);
+  for (const [, requiredFlag, name, type, argDescription] of signature.matchAll(argRegex)) {
+    const path = name.split('.');
+    let parent = parameters;
+    // Dot notation args (e.g. `customer.name`) become nested objects
+    path.slice(0, -1).forEach((key) => {
+      parent.properties[key] = parent.properties[key] || { type: 'object', properties: {}, required: [] };
+      parent = parent.properties[key];
+    });
+    const key = path[path.length - 1];
+    parent.properties[key] = {
+      ...convertType(type),
+      ...(argDescription ? { description: argDescription } : {}),
+    };
+    if (requiredFlag || type.startsWith('required ')) parent.required.push(key);
+  }
+
+  // Specs without named args (e.g. `<any>(...)`) accept any object
+  if (!Object.keys(parameters.properties).length) parameters.additionalProperties = true;
+
+  return { description: description.trim(), parameters };
+}
+
+// Provider tool names only allow letters, numbers, underscores and dashes
+const toToolName = (name) => name.replace(/\./g, '__').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+
+const actionsToTools = (actions) => {
+  return Object.entries(actions).map(([name, action]) => {
+    const { description, parameters } = parseActionSpec(action.spec);
+    return {
+      name: toToolName(name),
+      description: action.description || description,
+      parameters: action.parameters || parameters,
+    };
+  });
+}
+
+// Builds the callable actions of a copilotz from its action docs: each spec is parsed by the parser
+// of its `specType`, into functions calling the action's module. Parsers and modules get the
+// dependencies of the caller (`deps`), e.g. the agent running the actions.
+//
+// An action doc that fails to load (e.g. an unreachable MCP server) is reported and left out, so the
+// others are still available. Names must be unique: a function named like one loaded before it is
+// left out too, instead of replacing it.
+const loadActions = async (actionDocs = [], deps) => {
+
+  const { models } = deps;
+
+  const actionsArray = await Promise.all(
+    actionDocs.map(async (_action) => {
+      console.log(`[loadActions] Processing action: ${_action.specType}`);
+      try {
+        const [specParser, actionModule] = await Promise.all([
+          // 1. Get action spec parser
+          import(new URL(`../_specParser/${_action.specType}/main.js`, import.meta.url)).then((module) => module.default),
+          // 2. Get action module
+          _action.moduleUrl?.startsWith('http')
+            ? import(_action.moduleUrl).then((module) => module.default)
+            : _action.moduleUrl?.startsWith('native:')
+              ? import(new URL(`../modules/${_action.moduleUrl.slice(7)}/main.js`, import.meta.url)).then((module) => module.default)
+              : { error: true, status: 400, message: `Invalid Module URL: namespace for ${_action.moduleUrl} not found. Should either start with 'http:', 'https:', or 'native:'.` },
+        ]);
+
+        // 3. Check for errors
+        if (actionModule.error) throw actionModule;
+
+        // 4. Add current dependencies to actionModule and specParser
+        Object.assign(actionModule, deps);
+        Object.assign(specParser, deps);
+
+        // 5. Get the action's credentials, stored as a secret `AUTH` config owned by the action
+        const authConfig = _action._id
+          ? await models.configs.findOne({ owner: _action._id, ownerType: 'action', name: 'AUTH' })
+          : null;
+
+        // 6. Parse spec
+        return await specParser({ spec: _action.spec, module: actionModule, auth: authConfig?.value });
+      } catch (err) {
+        console.error(`[loadActions] Action ${_action._id || _action.specType} failed to load and is not available: ${err?.message || err}`);
+        return {};
+      }
+    })
+  );
+
+  // 7. Reduce actionsArray to a single object, keeping the first function of each name
+  return actionsArray.reduce((acc, obj, index) => {
+    Object.entries(obj || {}).forEach(([name, action]) => {
+      if (name in acc) {
+        console.error(`[loadActions] Function ${name} of action ${actionDocs[index]._id || actionDocs[index].specType} is already defined by another action, and is not available`);
+        return;
+      }
+      acc[name] = action;
+    });
+    return acc;
+  }, {});
+}
+
+const toolCallsToMessages = ({ message, functions }) => {
+  return [
+    {
+      role: 'assistant',
+      content: message || '',
+      tool_calls: functions.map((func) => ({
+        id: func.id,
+        type: 'function',
+        function: { name: toToolName(func.name), arguments: JSON.stringify(func.args || {}) },
+      })),
+    },
+    ...functions.map((func) => ({
+      role: 'tool',
+      tool_call_id: func.id,
+      name: toToolName(func.name),
+      content: JSON.stringify({ status: func.status, results: func.results }),
+    })),
+  ];
+}
+
+// Rolling conversation summaries are kept in the thread as a system message named `summary`
+const isSummaryMessage = (message) => message?.role === 'system' && message?.name === 'summary';
+
+// Text of a message content, which is either a string or an array of multimodal parts
+const getTextContent = (content) => {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return content ? JSON.stringify(content) : '';
+  return content
+    .map((part) => (typeof part === 'string' ? part : part?.type === 'text' ? part.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Settles with `promise`, or rejects with the abort reason when `signal` aborts first.
+// Work that does not take the signal itself keeps running, but is no longer awaited.
+const abortable = (promise, signal) => {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// Runs aborted by the request signal fail with 504 past `config.TIMEOUTS.turn`, and with 499 (client closed request) otherwise
+const throwIfAborted = (signal) => {
+  if (!signal?.aborted) return;
+  const timedOut = signal.reason?.name === 'TimeoutError';
+  throw {
+    status: timedOut ? 504 : 499,
+    message: timedOut ? 'Turn timed out' : 'Request cancelled',
+  };
+}
+
+// Rate limits (429), server errors (5xx) and network errors (fetch's TypeError) are worth retrying
+const isRetryableError = (err) => err?.status === 429 || err?.status >= 500 || err instanceof TypeError;
+
+// Calls `fn` until it succeeds, waiting `baseDelay * 2^retry` (capped at `maxDelay`) between attempts,
+// or the `retryAfter` delay of the error (in ms) when the provider sent one.
+const retryWithBackoff = async (fn, { maxRetries = 2, baseDelay = 1000, maxDelay = 30000, shouldRetry = isRetryableError, onRetry, signal } = {}) => {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (retry >= maxRetries || signal?.aborted || !shouldRetry(err)) throw err;
+      const delay = Math.min(err?.retryAfter ?? baseDelay * 2 ** retry, maxDelay);
+      onRetry?.(err, { retry: retry + 1, delay });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Thread messages are stored in the chat (openai) format. Messages loaded from or saved to
+// the `messages` collection are mapped to their record ids, so they are never saved twice.
+const storedMessages = new WeakMap();
+
+const toChatMessage = ({ role, content, name, toolCalls, toolCallId }) => ({
+  role,
+  content,
+  ...(name ? { name } : {}),
+  ...(toolCalls?.length ? { tool_calls: toolCalls } : {}),
+  ...(toolCallId ? { tool_call_id: toolCallId } : {}),
+});
+
+const getThreadHistory = async (thread) => {
+
+  const { models } = getThreadHistory;
+
+  if (!thread?._id) return [];
+
+  console.log(`[getThreadHistory] Getting thread history for ${thread.extId}`);
+
+  // 1. Get Messages that were not condensed into the summary
+  const records = await models.messages.find({
+    "thread": thread._id,
+    "summarized": null,
+  }, { sort: { _id: 1 } });
+
+  const messages = records.map((record) => {
+    const message = toChatMessage(record);
+    storedMessages.set(message, record._id);
+    return message;
+  });
+
+  console.log(`[getThreadHistory] Fetched ${messages.length} messages for ${thread.extId}`);
+
+  // 1.1. Threads without any message are from before messages were stored: their history is in the last
+  // log of the chat agent. It is saved as messages with the next turn.
+  if (!records.length && !(await models.messages.findOne({ thread: thread._id }))) {
+    return getLegacyThreadHistory(thread);
+  }
+
+  // 2. The conversation summary always leads the history
+  return [...messages.filter(isSummaryMessage), ...messages.filter((message) => !isSummaryMessage(message))];
+
+}
+
+// History of threads from before messages were stored: the prompt of the last completed chat agent run, and its answer
+const getLegacyThreadHistory = async (thread) => {
 
   const { models } = getThreadHistory;
 
-  maxRetries = maxRetries || 10;
+  if (!models.logs) return [];
 
-  // 1.1. If Last Log Exists, Add to Chat Logs
   const lastLog = (await models.logs.find({
-    "name": functionName,
-    "input.0.thread.extId": threadId,
+    "name": "chatAgent",
+    "input.0.thread.extId": thread.extId,
     "status": "completed",
     "hidden": null,
   }, { sort: { createdAt: -1 }, limit: 5 }))
     .map(log => log.output)
     .find(Boolean);
 
-  // 1.1.1 Remove all system messages from lastLog.output.prompt
-  if (lastLog?.prompt?.length) {
-    lastLog.prompt = lastLog?.prompt?.filter(message => message.role !== 'system');
+  if (!lastLog?.prompt?.length) return [];
+
+  console.log(`[getThreadHistory] Fetched the history of ${thread.extId} from its logs`);
+
+  const messages = lastLog.prompt
+    .filter((message) => message.role !== 'system')
+    .map(({ role, content, name, tool_calls, tool_call_id }) => toChatMessage({ role, content, name, toolCalls: tool_calls, toolCallId: tool_call_id }));
+  if (lastLog.message) {
+    messages.push({ role: 'assistant', content: typeof lastLog.message === 'string' ? lastLog.message : JSON.stringify(lastLog.message) });
   }
-  console.log(`[getThreadHistory] Fetched last log for ${threadId} with functionName ${functionName}`);
-  return lastLog
+  return messages;
+
+}
+
+const saveThreadMessages = async (thread, messages, { agentType, requestId } = {}) => {
+
+  const { models } = saveThreadMessages;
+
+  if (!thread?._id) return;
+
+  const newMessages = messages.filter((message) => !storedMessages.has(message));
+
+  console.log(`[saveThreadMessages] Saving ${newMessages.length} messages for ${thread.extId}`);
+
+  // Messages are created one at a time to preserve their order
+  for (const message of newMessages) {
+    const { role, content, name, tool_calls, tool_call_id } = message;
+    const record = await models.messages.create({
+      thread: thread._id,
+      role,
+      content,
+      name,
+      toolCalls: tool_calls,
+      toolCallId: tool_call_id,
+      agentType,
+      requestId,
+    });
+    storedMessages.set(message, record._id);
+  }
+
+}
+
+// Flags stored messages that were condensed into the summary, so they are no longer loaded as history
+const archiveThreadMessages = async (messages) => {
+
+  const { models } = archiveThreadMessages;
+
+  await Promise.all(messages
+    .filter((message) => storedMessages.has(message))
+    .map((message) => models.messages.update({ _id: storedMessages.get(message) }, { summarized: true }))
+  );
 
 }
 
 export default (shared) => {
   Object.assign(getThreadHistory, { models: shared.models })
+  Object.assign(saveThreadMessages, { models: shared.models })
+  Object.assign(archiveThreadMessages, { models: shared.models })
   return {
     ...shared,
     utils: {
       ...shared?.utils,
       createPrompt,
       getThreadHistory,
+      saveThreadMessages,
+      archiveThreadMessages,
       mentionsExtractor,
       jsonSchemaToShortSchema,
       mergeSchemas,
+      parseActionSpec,
+      actionsToTools,
+      loadActions,
+      toToolName,
+      toolCallsToMessages,
+      isSummaryMessage,
+      getTextContent,
       sleep,
+      abortable,
+      throwIfAborted,
+      isRetryableError,
+      retryWithBackoff,
       _: lodash
     }
   }
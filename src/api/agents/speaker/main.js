@@ -0,0 +1,84 @@
+// speaker/main.js
+
+import { encodeBase64 } from '../../ai/chat/helpers.js';
+
+const mimeTypes = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm',
+};
+
+// The provider is set per copilotz in `config.AI_TEXT_TO_SPEECH_PROVIDER`:
+// { provider: 'openai', model, voice, format ('mp3', 'opus' or 'wav'), speed }
+const speakerAgent = async ({ text, voice, format, stream, agentType }, res) => {
+  agentType = agentType || 'speaker';
+  try {
+    console.log(`[speakerAgent] Starting speaker agent`);
+
+    const { modules, resources, env, __requestId__ } = speakerAgent;
+
+    const { ai } = modules;
+
+    const { config, signal } = resources;
+
+    if (!text) {
+      console.error('[speakerAgent] No text input provided');
+      throw new Error('No text input provided');
+    }
+
+    const { provider, ...providerOptions } = config?.AI_TEXT_TO_SPEECH_PROVIDER || {
+      provider: 'openai',
+    }; // use openai as default provider
+    const speaker = ai['textToSpeech'][provider];
+    if (!speaker) {
+      throw { status: 400, message: `AI text-to-speech provider "${provider}" not found. Available providers: ${Object.keys(ai['textToSpeech']).join(', ')}` };
+    }
+    Object.assign(speaker, {
+      __requestId__,
+      config: {
+        ...providerOptions,
+        ...(voice ? { voice } : {}),
+        ...(format ? { format } : {}),
+        apiKey:
+          config?.[`${provider}_CREDENTIALS`]?.apiKey || // check for custom credentials in config
+          env?.[`${provider}_CREDENTIALS_apiKey`], // use default credentials from env
+      },
+      env,
+      signal,
+    });
+
+    // Audio chunks are streamed as json lines, so they can be told apart from text
+    let chunkIndex = 0;
+    const streamChunk = (chunk) => {
+      res?.stream?.(`${JSON.stringify({ audio: { index: chunkIndex++, data: encodeBase64(chunk) } })}\n`);
+    };
+
+    const speech = await speaker({ text }, stream ? streamChunk : () => { });
+
+    console.log(`[speakerAgent] Synthesized ${speech.characters} characters`);
+
+    return {
+      audio: {
+        // streamed audio is not sent again
+        ...(stream ? { streamed: true } : { data: encodeBase64(speech.audio) }),
+        format: speech.format,
+        mimeType: mimeTypes[speech.format] || 'application/octet-stream',
+      },
+      consumption: {
+        type: 'characters',
+        value: speech.characters,
+      },
+    };
+  } catch (err) {
+    console.log(`[speakerAgent] Error synthesizing speech: ${err.message}`);
+    throw {
+      message: `Error synthesizing speech: ${err.message}`,
+      status: err.status || 500,
+    };
+  }
+};
+
+export default speakerAgent;
@@ -0,0 +1,111 @@
+// summarizer/main.js
+
+// Images and files are described by placeholders, instead of their (base64) data
+const formatContent = (content) => {
+  if (!Array.isArray(content)) return typeof content === 'string' ? content : JSON.stringify(content);
+  return content
+    .map((part) => {
+      if (typeof part === 'string') return part;
+      if (part?.type === 'text') return part.text;
+      if (part?.type === 'image_url') return '[image]';
+      if (part?.type === 'file') return `[file${part.file?.filename ? `: ${part.file.filename}` : ''}]`;
+      return JSON.stringify(part);
+    })
+    .join('\n');
+};
+
+// Format a thread message as a transcript line
+const formatTranscriptLine = (message) => {
+  const content = formatContent(message.content);
+
+  if (message.role === 'tool') {
+    return `[function result${message.name ? ` (${message.name})` : ''}]: ${content}`;
+  }
+
+  const toolCalls = (message.tool_calls || [])
+    .map(({ function: fn }) => `[function call]: ${fn.name}(${fn.arguments})`)
+    .join('\n');
+
+  return [content && `[${message.role}]: ${content}`, toolCalls].filter(Boolean).join('\n');
+};
+
+const summarizerAgent = async ({ threadLogs, instructions, thread, agentType }, res) => {
+  agentType = agentType || 'summarizer';
+
+  console.log(`[summarizerAgent] Starting summarizer agent`);
+
+  const { modules, utils } = summarizerAgent;
+
+  const { createPrompt, isSummaryMessage } = utils;
+
+  const { agents } = modules;
+
+  if (!threadLogs?.length) {
+    console.error('[summarizerAgent] No thread logs provided');
+    throw { status: 400, message: 'No thread logs provided' };
+  }
+
+  // 1. Create Transcript, starting from the previous summary if it exists
+  const previousSummary = threadLogs.find(isSummaryMessage);
+  const transcript = threadLogs
+    .filter((message) => !isSummaryMessage(message))
+    .map(formatTranscriptLine)
+    .filter(Boolean)
+    .join('\n');
+
+  // 2. Summarize Transcript
+  console.log(`[summarizerAgent] Summarizing ${threadLogs.length} messages`);
+  const chatAgent = agents.chat;
+  Object.assign(chatAgent, summarizerAgent);
+  const { prompt, message, consumption } = await chatAgent(
+    {
+      instructions: createPrompt(summaryInstructionsTemplate, {
+        instructions: instructions || '',
+      }),
+      threadLogs: [
+        {
+          role: 'user',
+          content: createPrompt(transcriptTemplate, {
+            previousSummary: previousSummary?.content || '',
+            transcript,
+          }),
+        },
+      ],
+      thread,
+      agentType,
+    },
+    // summaries are never streamed to the user
+    { ...res, stream: () => { } }
+  );
+
+  console.log(`[summarizerAgent] Returning summary`);
+  return {
+    prompt,
+    message,
+    consumption,
+  };
+};
+
+export default summarizerAgent;
+
+const summaryInstructionsTemplate = `
+You summarize conversations between a user and an AI assistant, so the assistant can continue the conversation without the full transcript.
+
+Guidelines:
+- Merge the previous summary, if any, with the new transcript into a single summary.
+- Keep facts, names, numbers, decisions, user preferences, pending questions and the results of function calls that are still relevant.
+- Drop greetings, small talk and information that has been superseded.
+- Write in the same language as the conversation, in concise bullet points.
+- Reply with the summary only.
+{{instructions}}
+`;
+
+const transcriptTemplate = `
+<previousSummary>
+{{previousSummary}}
+</previousSummary>
+
+<transcript>
+{{transcript}}
+</transcript>
+`;
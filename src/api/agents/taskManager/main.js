@@ -9,6 +9,8 @@ const taskManager = async (
 ) => {
     console.log(`[taskManager] Starting iteration ${iterations}`);
 
+    // Nested agent calls share the thread logs of the agent that called them, which saves the turn
+    const isEntryAgent = !agentType;
     agentType = agentType || 'taskManager';
 
     let currentStep;
@@ -16,13 +18,17 @@ const taskManager = async (
     let taskDoc;
 
     // Extract Dependencies
-    const { models, modules, resources, utils } = taskManager;
+    const { __requestId__, models, modules, resources, utils } = taskManager;
     console.log('RESOURCES', { ...resources })
-    const { createPrompt, getThreadHistory, jsonSchemaToShortSchema, mergeSchemas } = utils;
+    const { createPrompt, throwIfAborted, getThreadHistory, saveThreadMessages, jsonSchemaToShortSchema, mergeSchemas, toolCallsToMessages } = utils;
     const { agents } = modules;
 
     // Extract resources
-    const { copilotz, config } = resources;
+    const { copilotz, config, thread: threadDoc, signal } = resources;
+
+    // Stop when the request was cancelled or the turn timed out
+    throwIfAborted(signal);
+    const nativeToolCalling = config?.functionCallMode === 'native';
     const { job } = copilotz || {};
     const { workflows: jobWorkflows } = job || {};
     const { workflows: copilotWorkflows } = copilotz || {};
@@ -154,16 +160,8 @@ const taskManager = async (
     }
 
     console.log(`[taskManager] Fetching thread history`);
-    if (!threadLogs || !threadLogs?.length) {
-        const lastLog = await getThreadHistory(thread.extId, { functionName: 'taskManager', maxRetries: 10 })
-        if (lastLog) {
-            const { prompt, ...agentResponse } = lastLog;
-            threadLogs = prompt || [];
-            const validatedLastAgentResponse = validate(jsonSchemaToShortSchema(outputSchema), agentResponse);
-            threadLogs.push({ role: 'assistant', content: JSON.stringify(validatedLastAgentResponse) });
-        } else {
-            threadLogs = [];
-        }
+    if (!threadLogs) {
+        threadLogs = await getThreadHistory(threadDoc);
     }
 
     const functionCallAgent = agents.functionCall;
@@ -212,11 +210,14 @@ const taskManager = async (
         };
     }
 
+    let response;
+
     // Process functions returned by the assistant
     const updateTaskPayload = {};
     if (taskManagerAgentResponse.functions) {
         for (const func of taskManagerAgentResponse.functions) {
-            if (!currentStep) {
+            // functions of other actions may run before any task exists
+            if (!currentStep && workflow) {
                 currentStep = workflow.steps.find((step) => step._id === taskDoc.currentStep)
             }
             const { name, args, results, status } = func;
@@ -244,12 +245,10 @@ const taskManager = async (
             } else if (name === 'createTask') {
                 console.log(`[taskManager] Processing createTask function`);
                 updateTaskPayload.context = { createdAt: new Date().toISOString() };
-                updateTaskPayload.currentStep = results._id
-                // Task is already created inside the createTask action
-                // No additional processing needed here
+                // Task is already created inside the createTask action, at the first step of its workflow
             } else if (name === 'changeStep') {
                 console.log(`[taskManager] Processing changeStep function`);
-                updateTaskPayload.currentStep = results._id;
+                updateTaskPayload.currentStep = results.id;
             } else {
                 // Handle other functions if necessary
             }
@@ -274,23 +273,27 @@ const taskManager = async (
             Object.keys(actionModules).some((key) => taskManagerAgentResponse.functions.some((func) => func.name === key)) &&
             iterations < maxIter
         ) {
+            // Update threadLogs for recursion with the function calls and their results
+            threadLogs.push(
+                ...(nativeToolCalling
+                    ? toolCallsToMessages(functionCallAgentResponse)
+                    : [{
+                        role: 'assistant',
+                        content: JSON.stringify(validate(
+                            jsonSchemaToShortSchema(outputSchema),
+                            functionCallAgentResponse
+                        ))
+                    }])
+            );
+
             console.log(`[taskManager] Recursively calling taskManager for next step`);
-            return await taskManager(
+            response = await taskManager(
                 {
                     input: '',
                     actionModules,
                     user,
                     thread,
-                    threadLogs: [
-                        ...threadLogs,
-                        {
-                            role: 'assistant',
-                            content: JSON.stringify(validate(
-                                jsonSchemaToShortSchema(outputSchema),
-                                functionCallAgentResponse
-                            ))
-                        },
-                    ],
+                    threadLogs,
                     options,
                     agentType,
                     iterations: iterations + 1,
@@ -301,7 +304,7 @@ const taskManager = async (
     }
 
     // Prepare the final response in consistent format
-    const response = {
+    response = response || {
         prompt: functionCallAgentResponse.prompt,
         ...taskManagerAgentResponse,
         consumption: {
@@ -310,6 +313,20 @@ const taskManager = async (
         },
     };
 
+    // Save thread messages
+    if (isEntryAgent) {
+        console.log(`[taskManager] Saving thread messages`);
+        if (!response.error) {
+            threadLogs.push({
+                role: 'assistant',
+                content: nativeToolCalling
+                    ? response.message
+                    : JSON.stringify(validate(jsonSchemaToShortSchema(outputSchema), response)),
+            });
+        }
+        await saveThreadMessages(threadDoc, threadLogs, { agentType, requestId: __requestId__ });
+    }
+
     console.log(`[taskManager] Finished iteration ${iterations}`);
     return response;
 };
@@ -28,6 +28,8 @@ const base64ToBlob = (base64) => {
     return new Blob([byteArray], { type: mimeType });
   };
   
+  // The provider is set per copilotz in `config.AI_SPEECH_TO_TEXT_PROVIDER`:
+  // { provider: 'openai' or 'whispercpp', model, language ('auto' or omitted to detect it), timestampGranularities, prompt, baseUrl }
   const transcriberAgent = async ({ instructions, audio, agentType }, res) => {
     agentType = agentType || 'transcriber';
     try {
@@ -37,22 +39,30 @@ const base64ToBlob = (base64) => {
   
       const { ai } = modules;
   
-      const { config } = resources;
+      const { config, signal } = resources;
   
       if (!audio) {
         console.error('[transcriberAgent] No audio input provided');
         throw new Error('No audio input provided');
       }
   
-      const provider = config?.AI_CHAT_PROVIDER?.provider;
+      const { provider, ...providerOptions } = config?.AI_SPEECH_TO_TEXT_PROVIDER || {
+        provider: 'openai',
+      }; // use openai as default provider
       const transcriber = ai['speechToText'][provider];
+      if (!transcriber) {
+        throw { status: 400, message: `AI speech-to-text provider "${provider}" not found. Available providers: ${Object.keys(ai['speechToText']).join(', ')}` };
+      }
       Object.assign(transcriber, {
         __requestId__,
         config: {
+          ...providerOptions,
           apiKey:
             config?.[`${provider}_CREDENTIALS`]?.apiKey || // check for custom credentials in config
             env?.[`${provider}_CREDENTIALS_apiKey`], // use default credentials from env
         },
+        env,
+        signal,
       });
   
       const audioBlob = base64ToBlob(audio);
@@ -62,8 +72,10 @@ const base64ToBlob = (base64) => {
         instructions,
       });
   
+      const hours = (transcribedAudio.duration || 0) / (60 * 60);
+
       console.log(
-        `[transcriberAgent] Transcribed audio with ${transcribedAudio.duration} hours`
+        `[transcriberAgent] Transcribed audio with ${hours} hours${transcribedAudio.language ? ` in ${transcribedAudio.language}` : ''}`
       );
   
       // Ensure 'message' is a string
@@ -88,9 +100,12 @@ const base64ToBlob = (base64) => {
       return {
         prompt,
         message,
+        language: transcribedAudio.language,
+        segments: transcribedAudio.segments,
+        words: transcribedAudio.words,
         consumption: {
           type: 'hours',
-          value: transcribedAudio.duration,
+          value: hours,
         },
       };
     } catch (err) {
@@ -1,77 +1,159 @@
-import formatChat, { tokenCounter } from '../helpers.js';
-
-export default ({ config, env, ...rest }) => {
-    return async (chat, stream = () => { }) => {
-
-        const [systemPrompt, ...messages] = formatChat({ ...chat, config });
-
-        // call the openai api
-        const response = await fetch("https://api.anthropic.com/v1/messages", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json",
-                "x-api-key": `${config.apiKey}`,
-                "anthropic-version": "2023-06-01"
-            },
-            body: JSON.stringify({
-                messages,
-                model: config.model || "claude-3-haiku-20240307",
-                stream: true,
-                temperature: config.temperature || 0,
-                system: systemPrompt.content,
-                // response_format: config.responseType === "json"
-                //     ? { type: "json_object" }
-                //     : undefined, ==> response format does not work in claude
-            }),
-        });
-
-        if (!response.ok) {
-            throw new Error(await response.text());
-        }
-
-        // create a reader to read the stream
-        const reader = response?.body?.getReader();
-
-        let resolver;
-
-        const resolved = new Promise((resolve, reject) => {
-            resolver = { resolve, reject };
-        });
-        let text = "";
-
-        reader?.read()?.then(function processText({ done, value }) {
-            // value for fetch streams is a Uint8Array
-            const chunk = new TextDecoder("utf-8").decode(value);
-
-            // split the chunk into lines
-            chunk.split("\n").forEach((line) => {
-                if (line.startsWith("data:")) {
-                    let data;
-                    try {
-                        // parse the json
-                        data = JSON.parse(line.slice(5).trim());
-                    } catch (e) {
-                        "";
-                    }
-                    // get the delta from the json
-                    const delta = data?.delta?.text;
-                    // if there's a delta, then stream it
-                    if (delta) {
-                        stream(delta);
-                        text = text + delta;
-                    }
-                }
-            });
-
-            // if it's done, then stop reading
-            if (done) {
-                resolver.resolve({ prompt: messages, answer: text, tokens: tokenCounter(messages, text) });
-                return;
-            }
-
-            // Read some more, and call this function again
-            return reader.read().then(processText);
-        });
-        return await resolved;
-    };
+import formatChat, { createUsage, estimateUsage, getPartSource, parseToolArguments, providerError, readEventStream, toContentParts } from '../helpers.js';
+
+const anthropicChat = async (chat, stream = () => { }) => {
+
+  const { config, env, signal } = anthropicChat;
+  const model = config.model || "claude-3-haiku-20240307";
+  const messages = formatChat({ ...chat, config, model });
+
+  if (chat.answer) {
+    return {
+      prompt: messages,
+      answer: typeof chat.answer === "string" ? chat.answer : JSON.stringify(chat.answer),
+      tokens: 0,
+      usage: createUsage(),
+      model,
+    }
+  }
+
+  // system prompts are sent apart from the messages in anthropic
+  const systemPrompt = messages.filter((m) => m.role === "system").map((m) => m.content).join("\n");
+  const anthropicMessages = toAnthropicMessages(messages.filter((m) => m.role !== "system"));
+
+  // claude has no json mode: prefill the assistant response with an opening brace instead
+  const prefill = (config.responseType === "json" || chat.responseSchema) && !chat.tools?.length ? "{" : "";
+  if (prefill) {
+    anthropicMessages.push({ role: "assistant", content: prefill });
+  }
+
+  // call the anthropic api
+  const response = await fetch("https://api.anthropic.com/v1/messages", {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": `${config.apiKey || env.ANTHROPIC_API_KEY}`,
+      "anthropic-version": "2023-06-01"
+    },
+    body: JSON.stringify({
+      messages: anthropicMessages,
+      model,
+      stream: true,
+      max_tokens: config.maxTokens || 4096,
+      temperature: config.temperature || 0,
+      system: systemPrompt || undefined,
+      tools: chat.tools?.length
+        ? chat.tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }))
+        : undefined,
+    }),
+  });
+
+  if (!response.ok) {
+    throw await providerError(response, "anthropic");
+  }
+
+  let text = prefill;
+  const toolCalls = [];
+  let providerUsage;
+
+  await readEventStream(response, (data) => {
+    // input usage is sent in `message_start`, cumulative output usage in `message_delta`
+    if (data?.type === "message_start" && data?.message?.usage) {
+      providerUsage = { ...data.message.usage };
+    }
+    if (data?.type === "message_delta" && data?.usage) {
+      providerUsage = { ...providerUsage, ...data.usage };
+    }
+    // tool calls start with a `tool_use` content block
+    if (data?.type === "content_block_start" && data?.content_block?.type === "tool_use") {
+      const { id, name } = data.content_block;
+      toolCalls[data.index] = { id, name, args: "" };
+    }
+    // tool call arguments are streamed as partial json
+    if (data?.delta?.type === "input_json_delta" && toolCalls[data.index]) {
+      toolCalls[data.index].args += data.delta.partial_json || "";
+    }
+    // get the delta from the json
+    const delta = data?.delta?.text;
+    // if there's a delta, then stream it
+    if (delta) {
+      stream(delta);
+      text += delta;
+    }
+  });
+
+  const parsedToolCalls = toolCalls.filter(Boolean).map(({ id, name, args }) => ({ id, name, args: parseToolArguments(args) }));
+
+  // anthropic's input tokens do not include the tokens read from or written to the cache
+  const usage = providerUsage
+    ? createUsage({
+      promptTokens: (providerUsage.input_tokens || 0)
+        + (providerUsage.cache_read_input_tokens || 0)
+        + (providerUsage.cache_creation_input_tokens || 0),
+      completionTokens: providerUsage.output_tokens,
+      cachedTokens: providerUsage.cache_read_input_tokens,
+    })
+    : estimateUsage({ prompt: messages, answer: text, toolCalls: parsedToolCalls, model });
+
+  return {
+    prompt: messages,
+    answer: text,
+    toolCalls: parsedToolCalls,
+    tokens: usage.totalTokens,
+    usage,
+    model,
+  };
 };
+
+// Converts openai-formatted tool calls and tool results to anthropic content blocks
+const toAnthropicMessages = (messages) => {
+  return messages.reduce((acc, message) => {
+    if (message.role === 'tool') {
+      const toolResult = { type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content };
+      const lastMessage = acc[acc.length - 1];
+      // consecutive tool results must be sent in a single user message
+      if (lastMessage?.role === 'user' && lastMessage.content?.[0]?.type === 'tool_result') {
+        lastMessage.content.push(toolResult);
+      } else {
+        acc.push({ role: 'user', content: [toolResult] });
+      }
+    } else if (message.tool_calls?.length) {
+      acc.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.tool_calls.map(({ id, function: fn }) => ({
+            type: 'tool_use',
+            id,
+            name: fn.name,
+            input: parseToolArguments(fn.arguments),
+          })),
+        ],
+      });
+    } else if (Array.isArray(message.content)) {
+      acc.push({ ...message, content: toContentParts(message.content).map(toAnthropicPart) });
+    } else {
+      acc.push(message);
+    }
+    return acc;
+  }, []);
+};
+
+// Converts openai-formatted content parts to anthropic text, image and document blocks
+const toAnthropicPart = (part) => {
+  if (part.type === 'text') return { type: 'text', text: part.text };
+  if (part.type !== 'image_url' && part.type !== 'file') return { type: 'text', text: JSON.stringify(part) };
+
+  const { url, mimeType, data } = getPartSource(part);
+  const type = part.type === 'image_url' ? 'image' : 'document';
+
+  if (url) return { type, source: { type: 'url', url } };
+  // plain text documents are sent as text sources
+  if (type === 'document' && mimeType === 'text/plain') {
+    const bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+    return { type, source: { type: 'text', media_type: mimeType, data: new TextDecoder().decode(bytes) } };
+  }
+  return { type, source: { type: 'base64', media_type: mimeType, data } };
+};
+
+export default anthropicChat;
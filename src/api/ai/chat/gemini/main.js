@@ -0,0 +1,189 @@
+import formatChat, { createUsage, estimateUsage, fetchAsBase64, getPartSource, parseToolArguments, providerError, readEventStream, toContentParts, toJsonSchema, toStrictJsonSchema } from '../helpers.js';
+
+const safetySettings = [
+  {
+    "category": "HARM_CATEGORY_HARASSMENT",
+    "threshold": "BLOCK_NONE",
+  },
+  {
+    "category": "HARM_CATEGORY_HATE_SPEECH",
+    "threshold": "BLOCK_NONE",
+  },
+  {
+    "category": "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    "threshold": "BLOCK_NONE",
+  },
+  {
+    "category": "HARM_CATEGORY_DANGEROUS_CONTENT",
+    "threshold": "BLOCK_NONE",
+  },
+];
+
+const geminiChat = async (chat, stream = () => { }) => {
+
+  const { config, env, signal } = geminiChat;
+  const model = config.model || 'gemini-1.5-flash-latest';
+  const messages = formatChat({ ...chat, config, model });
+
+  if (chat.answer) {
+    return {
+      prompt: messages,
+      answer: typeof chat.answer === "string" ? chat.answer : JSON.stringify(chat.answer),
+      tokens: 0,
+      usage: createUsage(),
+      model,
+    }
+  }
+
+  // multimodal parts are converted first, since files may have to be downloaded
+  const contentParts = await Promise.all(messages.map((m) => {
+    return Array.isArray(m.content) ? Promise.all(toContentParts(m.content).map((part) => toGeminiPart(part, signal))) : null;
+  }));
+
+  const systemPrompts = [];
+  const formattedMessages = messages
+    .reduce((acc, m, index) => {
+      if (m.role === 'system') {
+        systemPrompts.push(m.content);
+      } else if (m.role === 'tool') {
+        const functionResponse = { functionResponse: { name: m.name, response: { content: m.content } } };
+        const lastMessage = acc[acc.length - 1];
+        // responses to parallel function calls must be sent in a single turn
+        if (lastMessage?.parts?.[0]?.functionResponse) {
+          lastMessage.parts.push(functionResponse);
+        } else {
+          acc.push({ parts: [functionResponse], role: 'user' });
+        }
+      } else if (m.tool_calls?.length) {
+        acc.push({
+          parts: [
+            ...(m.content ? [{ text: m.content }] : []),
+            ...m.tool_calls.map(({ function: fn }) => ({
+              functionCall: { name: fn.name, args: parseToolArguments(fn.arguments) }
+            })),
+          ],
+          role: 'model'
+        });
+      } else {
+        acc.push({
+          parts: contentParts[index] || [{ text: m.content }],
+          role: m.role === 'user' ? 'user' : 'model'
+        });
+      }
+      return acc;
+    }, []);
+
+  const apiKey = config.apiKey || env.GEMINI_API_KEY;
+
+  // call the gemini api
+  const response = await fetch(
+    `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?key=${apiKey}&alt=sse`,
+    {
+      method: "POST",
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        contents: formattedMessages,
+        generationConfig: {
+          temperature: config.temperature || 0,
+          maxOutputTokens: config.maxTokens,
+          // gemini does not support json mode together with function calling
+          ...((config.responseType === "json" || chat.responseSchema) && !chat.tools?.length
+            ? { response_mime_type: "application/json" }
+            : {}),
+          // gemini's schemas cannot express open objects or untyped values, the same limits as strict schemas
+          ...(chat.responseSchema && !chat.tools?.length && toStrictJsonSchema(chat.responseSchema)
+            ? { response_schema: toGeminiSchema(toJsonSchema(chat.responseSchema)) }
+            : {}),
+        },
+        safetySettings,
+        systemInstruction: systemPrompts.length
+          ? { parts: [{ text: systemPrompts.join('\n') }] }
+          : undefined,
+        tools: chat.tools?.length
+          ? [{
+            functionDeclarations: chat.tools.map(({ name, description, parameters }) => ({
+              name,
+              description,
+              // gemini rejects object parameters without properties
+              ...(Object.keys(parameters?.properties || {}).length
+                ? { parameters: toGeminiSchema(parameters) }
+                : {}),
+            }))
+          }]
+          : undefined,
+      }),
+    }
+  );
+
+  if (!response.ok) {
+    throw await providerError(response, "gemini");
+  }
+
+  let text = "";
+  const toolCalls = [];
+  let providerUsage;
+
+  await readEventStream(response, (data) => {
+    // every chunk carries the usage so far, the last one has the final counts
+    if (data?.usageMetadata) providerUsage = data.usageMetadata;
+    data?.candidates?.[0]?.content?.parts?.forEach((part) => {
+      // get the delta from the json
+      const delta = part?.text;
+      // if there's a delta, then stream it
+      if (delta) {
+        stream(delta);
+        text += delta;
+      }
+      // gemini sends function calls whole, usually without ids, so they get ids unique across turns
+      if (part?.functionCall) {
+        const { id, name, args } = part.functionCall;
+        toolCalls.push({ id: id || crypto.randomUUID(), name, args });
+      }
+    });
+  });
+
+  const usage = providerUsage
+    ? createUsage({
+      promptTokens: providerUsage.promptTokenCount,
+      completionTokens: providerUsage.candidatesTokenCount,
+      cachedTokens: providerUsage.cachedContentTokenCount,
+    })
+    : estimateUsage({ prompt: messages, answer: text, toolCalls, model });
+
+  return { prompt: messages, answer: text, toolCalls, tokens: usage.totalTokens, usage, model };
+};
+
+// Converts openai-formatted content parts to gemini parts. Gemini only reads urls of files uploaded
+// to its file api: files from other urls are downloaded and sent inline.
+const toGeminiPart = async (part, signal) => {
+  if (part.type === 'text') return { text: part.text };
+  if (part.type !== 'image_url' && part.type !== 'file') return { text: JSON.stringify(part) };
+
+  const source = getPartSource(part);
+  if (source.url?.startsWith('https://generativelanguage.googleapis.com/')) {
+    return { file_data: { mime_type: source.mimeType, file_uri: source.url } };
+  }
+  const { mimeType, data } = source.url ? await fetchAsBase64(source.url, signal) : source;
+  return { inline_data: { mime_type: mimeType || source.mimeType, data } };
+};
+
+// Gemini only accepts a subset of the OpenAPI schema object
+const toGeminiSchema = (schema = {}) => {
+  const { type, format, description, enum: enumValues, properties, required, items } = schema;
+  return {
+    type: type || 'string', // untyped (`any`) values are described as strings
+    ...(['enum', 'date-time'].includes(format) ? { format } : {}),
+    ...(description ? { description } : {}),
+    ...(enumValues ? { enum: enumValues } : {}),
+    ...(properties
+      ? { properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])) }
+      : {}),
+    ...(required?.length ? { required } : {}),
+    ...(type === 'array' ? { items: toGeminiSchema(items) } : {}),
+  };
+};
+
+export default geminiChat;
@@ -1,76 +1,106 @@
-import formatChat, { tokenCounter } from '../helpers.js';
+import formatChat, { createUsage, estimateUsage, getCompletionsUrl, parseToolArguments, providerError, readEventStream, toContentParts } from '../helpers.js';
 
-export default ({ config, env, ...rest }) => {
-  return async (chat, stream = () => { }) => {
+const groqChat = async (chat, stream = () => { }) => {
 
-    const messages = formatChat({ ...chat, config });
+  const { config, env, signal } = groqChat;
+  const apiKey = config.apiKey || env.GROQ_API_KEY;
+  const model = config.model || "llama3-8b-8192";
+  const messages = formatChat({ ...chat, config, model });
 
-    // call the openai api
-    const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${config.apiKey}`,
-      },
-      body: JSON.stringify({
-        messages,
-        model: config.model || "llama3-8b-8192",
-        stream: true,
-        temperature: config.temperature || 0,
-        response_format: config.responseType === "json"
-          ? { type: "json_object" }
-          : undefined,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(await response.text());
+  if (chat.answer) {
+    return {
+      prompt: messages,
+      answer: typeof chat.answer === "string" ? chat.answer : JSON.stringify(chat.answer),
+      tokens: 0,
+      usage: createUsage(),
+      model,
     }
+  }
 
-    // create a reader to read the stream
-    const reader = response?.body?.getReader();
+  // call the groq api, or another openai-compatible one at `config.baseUrl`
+  const response = await fetch(getCompletionsUrl(config.baseUrl || "https://api.groq.com/openai/v1", config.queryParams), {
+    method: "POST",
+    signal,
+    headers: {
+      "Content-Type": "application/json",
+      // local servers may not need a key
+      ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+      ...config.headers,
+    },
+    body: JSON.stringify({
+      messages: toGroqMessages(messages),
+      model,
+      stream: true,
+      temperature: config.temperature || 0,
+      max_tokens: config.maxTokens,
+      response_format: config.responseType === "json"
+        ? { type: "json_object" }
+        : undefined,
+      tools: chat.tools?.length
+        ? chat.tools.map((tool) => ({ type: "function", function: tool }))
+        : undefined,
+    }),
+  });
 
-    let resolver;
+  if (!response.ok) {
+    throw await providerError(response, "groq");
+  }
 
-    const resolved = new Promise((resolve, reject) => {
-      resolver = { resolve, reject };
-    });
-    let text = "";
+  let text = "";
+  const toolCalls = [];
+  let providerUsage;
 
-    reader?.read()?.then(function processText({ done, value }) {
-      // value for fetch streams is a Uint8Array
-      const chunk = new TextDecoder("utf-8").decode(value);
+  await readEventStream(response, (data) => {
+    // usage is sent in the last chunk (in `x_groq` for groq)
+    const usage = data?.usage || data?.x_groq?.usage;
+    if (usage) providerUsage = usage;
+
+    const delta = data?.choices?.[0]?.delta;
+    if (delta?.content) {
+      stream(delta.content);
+      text += delta.content;
+    }
+    // tool calls are streamed in fragments, indexed by their position
+    delta?.tool_calls?.forEach(({ index, id, function: fn }) => {
+      const toolCall = toolCalls[index] = toolCalls[index] || { id, name: "", args: "" };
+      if (id) toolCall.id = id;
+      if (fn?.name) toolCall.name += fn.name;
+      if (fn?.arguments) toolCall.args += fn.arguments;
+    });
+  });
 
-      // split the chunk into lines
-      chunk.split("\n").forEach((line) => {
-        if (line.startsWith("data:")) {
-          let data;
-          try {
-            // parse the json
-            data = JSON.parse(line.slice(5).trim());
-          } catch (e) {
-            "";
-          }
-          // get the delta from the json
-          const delta = data?.choices?.[0]?.delta?.content;
-          // if there's a delta, then stream it
-          if (delta) {
-            stream(delta);
-            text = text + delta;
-          }
-        }
-      });
+  const parsedToolCalls = toolCalls.filter(Boolean).map(({ id, name, args }) => ({ id, name, args: parseToolArguments(args) }));
 
-      // if it's done, then stop reading
-      if (done) {
-        console.log('AI RESPONSE DONE', { prompt: messages, answer: text, tokens: tokenCounter(messages, text) })
-        resolver.resolve({ prompt: messages, answer: text, tokens: tokenCounter(messages, text) });
-        return;
-      }
+  const usage = providerUsage
+    ? createUsage({
+      promptTokens: providerUsage.prompt_tokens,
+      completionTokens: providerUsage.completion_tokens,
+      cachedTokens: providerUsage.prompt_tokens_details?.cached_tokens,
+    })
+    : estimateUsage({ prompt: messages, answer: text, toolCalls: parsedToolCalls, model });
 
-      // Read some more, and call this function again
-      return reader.read().then(processText);
-    });
-    return await resolved;
+  return {
+    prompt: messages,
+    answer: text,
+    toolCalls: parsedToolCalls,
+    tokens: usage.totalTokens,
+    usage,
+    model,
   };
 };
+
+// groq's vision models read images only: files are replaced by a note, so the model knows about them
+const toGroqMessages = (messages) => {
+  return messages.map((message) => {
+    if (!Array.isArray(message.content)) return message;
+    return {
+      ...message,
+      content: toContentParts(message.content).map((part) => part.type === "file"
+        ? { type: "text", text: `[file ${part.file?.filename || "document"}: files are not supported by this model]` }
+        : part
+      ),
+    };
+  });
+};
+
+export default groqChat;
@@ -1,67 +1,399 @@
 import { getEncoding } from "npm:js-tiktoken";
 
-export default ({ instructions, messages, config }) => {
+// Context window sizes (in tokens) by model family, the first match winning. `config.contextWindow`
+// overrides them, and the history of unknown models is not trimmed.
+const contextWindows = [
+    [/^gpt-5/, 400000],
+    [/^gpt-4\.1/, 1047576],
+    [/^(gpt-4o|gpt-4-turbo|gpt-4-\d{4}-preview|chatgpt-4o)/, 128000],
+    [/^gpt-4-32k/, 32768],
+    [/^gpt-4(-\d{4})?$/, 8192],
+    [/^gpt-3\.5-turbo/, 16385],
+    [/^o1-(mini|preview)/, 128000],
+    [/^o\d(-|$)/, 200000],
+    [/^claude-/, 200000],
+    [/^gemini-1\.5-pro/, 2097152],
+    [/^gemini-(1\.5|2\.\d)/, 1048576],
+    [/^llama3-(70b|8b)-8192/, 8192],
+    [/^(meta-llama\/)?llama-(3\.[1-3]|4)/, 131072],
+    [/^mixtral-8x7b-32768/, 32768],
+];
 
-    // create a list of messages to send to the api
-    messages = [ // add Assistant initial instructions if they exist
+const DEFAULT_RESPONSE_TOKENS = 4096;
+// Tokens added by the chat format for each message and to prime the reply
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const REPLY_OVERHEAD_TOKENS = 3;
+// Estimated cost of an image part (a high detail 1024x1024 image in openai's pricing)
+const IMAGE_TOKENS = 765;
+// Estimated cost of a document part (a few pages of a pdf)
+const FILE_TOKENS = 1500;
+
+export const getContextWindow = (model = "") => {
+    return contextWindows.find(([family]) => family.test(model))?.[1];
+}
+
+const encodings = {};
+
+// Other providers do not publish their tokenizers: cl100k_base is used as an estimate for them
+export const getTokenizer = (model = "") => {
+    const encodingName = /^(gpt-4o|gpt-4\.1|gpt-5|chatgpt-4o|o\d)/.test(model) ? "o200k_base" : "cl100k_base";
+    encodings[encodingName] = encodings[encodingName] || getEncoding(encodingName);
+    return encodings[encodingName];
+}
+
+export const countMessageTokens = (message, model) => {
+    const encoding = getTokenizer(model);
+    const countText = (text) => (text ? encoding.encode(text).length : 0);
+
+    const countContent = (content) => {
+        if (!content) return 0;
+        if (typeof content === "string") return countText(content);
+        if (Array.isArray(content)) {
+            return content.reduce((sum, part) => {
+                if (typeof part === "string") return sum + countText(part);
+                if (part?.type === "text") return sum + countText(part.text);
+                if (part?.type === "image_url") return sum + IMAGE_TOKENS;
+                if (part?.type === "file") return sum + FILE_TOKENS;
+                return sum + countText(JSON.stringify(part));
+            }, 0);
+        }
+        return countText(JSON.stringify(content));
+    };
+
+    const toolCallsTokens = (message.tool_calls || []).reduce(
+        (sum, { function: fn }) => sum + countText(fn?.name) + countText(fn?.arguments),
+        0
+    );
+
+    return MESSAGE_OVERHEAD_TOKENS + countContent(message.content) + toolCallsTokens;
+}
+
+export default ({ instructions, messages, config, model }) => {
+
+    model = model || config.model;
+
+    // assistant messages with tool calls may have empty content
+    messages = messages.filter((message) => message.content || message.tool_calls?.length);
+
+    const systemMessages = [
+        // add Assistant initial instructions if they exist
         ...(instructions
             ? [{
                 role: "system",
                 content: instructions,
             }]
             : []),
-        ...messages
+        ...messages.filter((message) => message.role === "system"),
     ];
 
-    // limit the length of the messages to config.maxLength
+    messages = messages.filter((message) => message.role !== "system");
+
+    // limit the messages to the model's context window, reserving room for the system prompt and the response
+    const contextWindow = config.contextWindow || getContextWindow(model);
+    if (contextWindow) {
+        const budget = contextWindow
+            - (config.maxTokens || DEFAULT_RESPONSE_TOKENS)
+            - REPLY_OVERHEAD_TOKENS
+            - systemMessages.reduce((sum, message) => sum + countMessageTokens(message, model), 0);
+        messages = trimMessages(messages, budget, (message) => countMessageTokens(message, model));
+    }
+
+    // limit the length of the messages to `config.maxLength` characters, including the instructions
     if (config.maxLength) {
-        messages = concatenateMessages(
-            messages,
-            config.maxLength - (instructions?.length || 0),
-        );
+        messages = trimMessages(messages, config.maxLength - (instructions?.length || 0), countMessageCharacters);
     }
 
-    messages = [
-        ...(instructions && messages[0]?.role !== "system"
-            ? [{
-                role: "system",
-                content: instructions,
-            }]
-            : []),
-        ...messages,
-    ];
+    return [...systemMessages, ...messages];
+}
+
+const countMessageCharacters = ({ content }) => (typeof content === "string" ? content : JSON.stringify(content || "")).length;
+
+// Keeps the newest messages whose `size` fits in the budget
+function trimMessages(messages, budget, size) {
+    // tool results are grouped with the assistant message that called them, so they are never orphaned
+    const groups = messages.reduce((acc, message) => {
+        if (message.role === "tool" && acc.length) {
+            acc[acc.length - 1].push(message);
+        } else {
+            acc.push([message]);
+        }
+        return acc;
+    }, []);
+
+    let trimmedGroups = [];
+    let usedTokens = 0;
+
+    // keep whole groups, newest first, dropping the oldest ones once the budget is exhausted
+    for (let i = groups.length - 1; i >= 0; i--) {
+        const groupTokens = groups[i].reduce((sum, message) => sum + size(message), 0);
+        // the latest message is always kept, even if it alone exceeds the budget
+        if (trimmedGroups.length && usedTokens + groupTokens > budget) break;
+        trimmedGroups = [groups[i], ...trimmedGroups];
+        usedTokens += groupTokens;
+    }
+
+    // a trimmed history must start with a user turn
+    if (trimmedGroups.length < groups.length) {
+        while (trimmedGroups.length > 1 && trimmedGroups[0][0].role !== "user") {
+            trimmedGroups.shift();
+        }
+    }
+
+    return trimmedGroups.flat();
+}
 
-    return messages
+export const createUsage = ({ promptTokens = 0, completionTokens = 0, cachedTokens = 0, ...rest } = {}) => {
+    return {
+        promptTokens,
+        completionTokens,
+        cachedTokens,
+        totalTokens: promptTokens + completionTokens,
+        ...rest,
+    };
 }
 
-function concatenateMessages(messages, limit) {
-    let concatenatedMessages = [];
-    let concatenatedCharacters = 0;
+// Fallback for providers that did not report their usage: estimates it with the local tokenizer
+export const estimateUsage = ({ prompt, answer, toolCalls, model }) => {
+    return createUsage({
+        promptTokens: prompt.reduce((sum, message) => sum + countMessageTokens(message, model), 0) + REPLY_OVERHEAD_TOKENS,
+        completionTokens: countMessageTokens({
+            content: answer,
+            tool_calls: toolCalls?.map(({ name, args }) => ({ function: { name, arguments: JSON.stringify(args) } })),
+        }, model) - MESSAGE_OVERHEAD_TOKENS,
+        estimated: true,
+    });
+}
 
-    for (let i = messages.length - 1; i >= 0; i--) {
-        const currentMessage = messages[i];
-        if (!currentMessage.content) continue;
+// Multimodal content uses openai's parts: { type: "text", text }, { type: "image_url", image_url: { url, detail } }
+// and { type: "file", file: { filename, file_data } } or { type: "file", file: { filename, url } }.
+// Image and file urls may be http(s) urls, data urls or raw base64.
+export const toContentParts = (content) => {
+    if (typeof content === "string") return [{ type: "text", text: content }];
+    if (!Array.isArray(content)) return [{ type: "text", text: JSON.stringify(content) }];
+    return content.map((part) => {
+        if (typeof part === "string") return { type: "text", text: part };
+        if (part?.type === "image_url" && typeof part.image_url === "string") return { ...part, image_url: { url: part.image_url } };
+        return part;
+    });
+}
 
-        if (concatenatedCharacters + currentMessage.content.length <= limit) {
-            concatenatedMessages = [currentMessage, ...concatenatedMessages];
-            concatenatedCharacters += currentMessage.content.length;
-        } else {
-            const remainingCharacters = limit - concatenatedCharacters;
-            concatenatedMessages = [{
-                ...currentMessage,
-                content: currentMessage.content.slice(-remainingCharacters),
-            }, ...concatenatedMessages];
-            concatenatedCharacters = limit;
-            break;
+// Returns the url, or the mime type and base64 data, of an image or file part
+export const getPartSource = (part) => {
+    const isImage = part?.type === "image_url";
+    const url = isImage ? part.image_url?.url : part?.file?.file_data || part?.file?.url;
+    const defaultMimeType = isImage ? "image/jpeg" : part?.file?.mimeType || "application/pdf";
+
+    if (/^https?:\/\//.test(url || "")) return { url, mimeType: defaultMimeType };
+
+    const dataUrl = url?.match(/^data:([^;,]+)?[^,]*,(.*)$/s);
+    if (dataUrl) return { mimeType: dataUrl[1] || defaultMimeType, data: dataUrl[2] };
+
+    return { mimeType: defaultMimeType, data: url };
+}
+
+export const encodeBase64 = (bytes) => {
+    let binary = "";
+    // in slices, to stay within the arguments limit of `String.fromCharCode`
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+// Downloads a file for providers that only accept inline data
+export const fetchAsBase64 = async (url, signal) => {
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Failed to download ${url}: ${response.status} ${response.statusText}`);
+    }
+    return {
+        mimeType: response.headers.get("content-type")?.split(";")[0],
+        data: encodeBase64(new Uint8Array(await response.arrayBuffer())),
+    };
+}
+
+// Removes what is not json schema from agents' schemas: untyped (`any`) values and the `$schema` keyword
+export const toJsonSchema = (schema = {}) => {
+    const { $schema, type, properties, items, ...rest } = schema;
+    return {
+        ...rest,
+        ...(type && type !== "any" ? { type } : {}),
+        ...(properties
+            ? { properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value)])) }
+            : {}),
+        ...(items ? { items: toJsonSchema(items) } : {}),
+    };
+}
+
+// Strict structured outputs only accept closed objects with every property required: optional properties
+// become nullable. Returns undefined for schemas with open objects or untyped values, which cannot be strict.
+export const toStrictJsonSchema = (schema) => {
+    const { type, properties, items, required = [], additionalProperties, format, ...rest } = toJsonSchema(schema);
+    if (!type) return;
+
+    if (type === "object") {
+        if (!Object.keys(properties || {}).length) return;
+        const strictProperties = {};
+        for (const [key, value] of Object.entries(properties)) {
+            const strictValue = toStrictJsonSchema(value);
+            if (!strictValue) return;
+            strictProperties[key] = required.includes(key)
+                ? strictValue
+                : { ...strictValue, type: [...new Set([].concat(strictValue.type, "null"))] };
         }
+        return { ...rest, type, properties: strictProperties, required: Object.keys(properties), additionalProperties: false };
     }
 
-    return concatenatedMessages;
+    if (type === "array") {
+        const strictItems = toStrictJsonSchema(items);
+        if (!strictItems) return;
+        return { ...rest, type, items: strictItems };
+    }
+
+    return { ...rest, type };
+}
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    if (!ms) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// Chat completions url of an openai-compatible api. `baseUrl` is the url before `/chat/completions`
+// (e.g. "http://localhost:11434/v1" for ollama), and `queryParams` are added to it (e.g. azure's `api-version`).
+export const getCompletionsUrl = (baseUrl, queryParams = {}) => {
+    const url = new URL(`${baseUrl.replace(/\/$/, "")}/chat/completions`);
+    Object.entries(queryParams).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.href;
 }
 
-export const tokenCounter = (prompt, answer) => {
-    const encoding = getEncoding("cl100k_base");
-    const encoded = encoding.encode(prompt.map(i => i.content).join(' ') + answer);
-    const tokensCount = encoded.length;
-    return tokensCount;
+// Delay of a `Retry-After` header, in milliseconds. It is either a number of seconds or an http date.
+const parseRetryAfter = (value) => {
+    if (!value) return;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(date - Date.now(), 0);
 }
+
+// Error of a failed provider request, with its http status and `Retry-After` delay, so callers can retry it
+export const providerError = async (response, provider) => {
+    const errorText = await response.text();
+    console.error("API response error:", errorText);
+    return Object.assign(new Error(errorText), {
+        status: response.status,
+        provider,
+        retryAfter: parseRetryAfter(response.headers.get("retry-after")),
+    });
+}
+
+export const parseToolArguments = (args) => {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        console.error("Failed to parse tool call arguments:", e, "Arguments:", args);
+        return {};
+    }
+}
+
+// Decodes a server-sent events stream, buffering lines that cross chunk boundaries.
+// `onEvent` is called with the parsed json data and the event name of each event, or with the
+// data as text when `raw` is set (without handling `[DONE]` and error events).
+export const createEventStreamParser = (onEvent, { raw = false } = {}) => {
+    let buffer = "";
+    let eventName;
+    let dataLines = [];
+    let finished = false;
+    let skipLineFeed = false;
+
+    const dispatch = () => {
+        const data = dataLines.join("\n");
+        const event = eventName;
+        eventName = undefined;
+        dataLines = [];
+
+        if (finished || !data) return;
+        if (raw) return onEvent(data, { event });
+        if (data.trim() === "[DONE]") {
+            finished = true;
+            return;
+        }
+
+        let json;
+        try {
+            json = JSON.parse(data);
+        } catch (e) {
+            console.error("Failed to parse JSON:", e, "Data:", data);
+            return;
+        }
+
+        if (event === "error" || json?.error) {
+            const error = json?.error || json;
+            throw new Error(typeof error === "string" ? error : error?.message || JSON.stringify(error));
+        }
+
+        onEvent(json, { event });
+    };
+
+    const processLine = (line) => {
+        // an empty line dispatches the current event
+        if (!line) return dispatch();
+        // lines starting with a colon are comments
+        if (line.startsWith(":")) return;
+
+        const separatorIndex = line.indexOf(":");
+        const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+        let value = separatorIndex === -1 ? "" : line.slice(separatorIndex + 1);
+        if (value.startsWith(" ")) value = value.slice(1);
+
+        if (field === "event") eventName = value;
+        if (field === "data") dataLines.push(value);
+    };
+
+    return {
+        push(chunk) {
+            if (!chunk) return;
+            // a "\r\n" line break may be split across chunks
+            if (skipLineFeed && chunk.startsWith("\n")) chunk = chunk.slice(1);
+            skipLineFeed = chunk.endsWith("\r");
+
+            buffer += chunk;
+            const lines = buffer.split(/\r\n|\r|\n/);
+            // Keep the last incomplete line in the buffer
+            buffer = lines.pop();
+            lines.forEach(processLine);
+        },
+        end() {
+            if (buffer) processLine(buffer);
+            buffer = "";
+            dispatch();
+        },
+    };
+};
+
+export const readEventStream = async (response, onEvent, options) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder("utf-8");
+    const parser = createEventStreamParser(onEvent, options);
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+        parser.push(decoder.decode());
+        parser.end();
+    } catch (error) {
+        console.error("Error reading stream:", error);
+        reader.cancel().catch(() => { });
+        throw error;
+    }
+};
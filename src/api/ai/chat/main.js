@@ -1,3 +1,5 @@
 export { default as openai } from './openai/main.js';
-// export { default as groq } from './groq/main.js';
-// export { default as gemni } from './gemni/main.js';
\ No newline at end of file
+export { default as anthropic } from './anthropic/main.js';
+export { default as groq } from './groq/main.js';
+export { default as gemini } from './gemini/main.js';
+export { default as mock } from './mock/main.js';
@@ -0,0 +1,117 @@
+import formatChat, { createUsage, estimateUsage, sleep } from '../helpers.js';
+
+// Deterministic provider for tests and demos: replays scripted answers or recorded fixtures, without network access.
+//
+// `config.answers` are replayed in order, one per call. Each answer is either the answer text, or
+// { answer (text or json), toolCalls: [{ id, name, args }], error: { status, message, retryAfter }, usage, delay }.
+// An array of answers is replayed once: pass a new array to start over.
+//
+// `config.fixtures` are exchanges captured with `recordFixtures`: { request: { messages, tools }, response }.
+// The response of the first unused fixture whose messages and tools match the call is replayed. Instructions
+// are not matched, since they include the current date.
+//
+// Answers are streamed word by word, waiting `config.delay` (in ms) between words.
+const replayed = new WeakMap();
+
+const mockChat = async (chat, stream = () => { }) => {
+
+  const { config, signal } = mockChat;
+  const model = config.model || "mock";
+  const messages = formatChat({ ...chat, config, model });
+
+  if (chat.answer) {
+    return {
+      prompt: messages,
+      answer: typeof chat.answer === "string" ? chat.answer : JSON.stringify(chat.answer),
+      tokens: 0,
+      usage: createUsage(),
+      model,
+    }
+  }
+
+  const scripted = config.fixtures ? nextFixture(config.fixtures, chat) : nextAnswer(config.answers);
+  const { answer = "", toolCalls = [], error, usage, delay = config.delay || 0 } =
+    typeof scripted === "string" ? { answer: scripted } : scripted;
+
+  // errors are thrown as providers' errors, so they are retried and failed over like them
+  if (error) {
+    await sleep(delay, signal);
+    throw Object.assign(new Error(error.message || `Mock error ${error.status || ""}`.trim()), {
+      status: error.status,
+      provider: "mock",
+      retryAfter: error.retryAfter,
+    });
+  }
+
+  const text = typeof answer === "string" ? answer : JSON.stringify(answer);
+  for (const token of text.match(/\S+\s*|\s+/g) || []) {
+    await sleep(delay, signal);
+    stream(token);
+  }
+
+  const parsedToolCalls = toolCalls.map(({ id, name, args }, index) => ({ id: id || `call_${index}`, name, args: args || {} }));
+
+  const mockUsage = usage
+    ? createUsage(usage)
+    : estimateUsage({ prompt: messages, answer: text, toolCalls: parsedToolCalls, model });
+
+  return {
+    prompt: messages,
+    answer: text,
+    toolCalls: parsedToolCalls,
+    tokens: mockUsage.totalTokens,
+    usage: mockUsage,
+    model,
+  };
+};
+
+const nextAnswer = (answers) => {
+  if (!answers?.length) {
+    throw { status: 400, message: "Mock chat provider needs `answers` or `fixtures` in its configuration" };
+  }
+  const index = replayed.get(answers) || 0;
+  if (index >= answers.length) {
+    throw { status: 400, message: `Mock chat provider ran out of answers: all ${answers.length} were replayed` };
+  }
+  replayed.set(answers, index + 1);
+  return answers[index];
+};
+
+const nextFixture = (fixtures, chat) => {
+  const used = replayed.get(fixtures) || new Set();
+  replayed.set(fixtures, used);
+  const key = JSON.stringify(toFixtureRequest(chat));
+  const fixture = fixtures.find((fixture) => !used.has(fixture) && JSON.stringify(fixture.request) === key);
+  if (!fixture) {
+    throw { status: 400, message: `Mock chat provider has no fixture for the request: ${key.slice(0, 500)}` };
+  }
+  used.add(fixture);
+  return fixture.response;
+};
+
+// The parts of a request fixtures are matched by
+const toFixtureRequest = ({ messages = [], tools }) => ({
+  messages: messages.map(({ role, content, tool_calls, tool_call_id }) => ({ role, content, tool_calls, tool_call_id })),
+  tools: tools?.map(({ name }) => name),
+});
+
+// Wraps a real provider to capture its exchanges as fixtures for the mock provider, e.g. by registering
+// `recordFixtures(ai.chat.openai)` as `ai.chat.openai` in a test run once against the real api, and saving
+// `recorder.fixtures` as json.
+export const recordFixtures = (aiChat, fixtures = []) => {
+  const recorder = async (chat, stream) => {
+    const { __requestId__, config, env, signal } = recorder;
+    Object.assign(aiChat, { __requestId__, config, env, signal });
+    const result = await aiChat(chat, stream);
+    const { answer, toolCalls, usage } = result;
+    fixtures.push({
+      request: toFixtureRequest(chat),
+      response: { answer, toolCalls, usage },
+    });
+    return result;
+  };
+  recorder.fixtures = fixtures;
+  return recorder;
+};
+
+export default mockChat;
@@ -1,122 +1,130 @@
-import formatChat, { tokenCounter } from '../helpers.js';
+import formatChat, { createUsage, estimateUsage, fetchAsBase64, getCompletionsUrl, getPartSource, parseToolArguments, providerError, readEventStream, toContentParts, toJsonSchema, toStrictJsonSchema } from '../helpers.js';
 
 const openAiChat = async (chat, stream = () => { }) => {
 
-  const { config, env } = openAiChat;
-  const messages = formatChat({ ...chat, config });
+  const { config, env, signal } = openAiChat;
+  const apiKey = config.apiKey || env.OPENAI_API_KEY;
+  const model = config.model || "gpt-4o-mini";
+  const messages = formatChat({ ...chat, config, model });
 
   if (chat.answer) {
     return {
       prompt: messages,
       answer: typeof chat.answer === "string" ? chat.answer : JSON.stringify(chat.answer),
-      tokens: 0
+      tokens: 0,
+      usage: createUsage(),
+      model,
     }
   }
 
-  // call the openai api
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
+  // call the openai api, or an openai-compatible one at `config.baseUrl`
+  const response = await fetch(getCompletionsUrl(config.baseUrl || "https://api.openai.com/v1", config.queryParams), {
     method: "POST",
+    signal,
     headers: {
       "Content-Type": "application/json",
-      "Authorization": `Bearer ${config.apiKey || env.OPENAI_API_KEY}`,
+      // local servers may not need a key
+      ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+      ...config.headers,
     },
     body: JSON.stringify({
-      messages,
-      model: config.model || "gpt-4o-mini",
+      messages: await toOpenAiMessages(messages, signal),
+      model,
       stream: true,
+      stream_options: { include_usage: true },
       temperature: config.temperature || 0,
-      response_format: config.responseType === "json"
-        ? { type: "json_object" }
+      // openai's reasoning models only take `max_completion_tokens`, which other servers may not know
+      ...(config.maxTokens
+        ? config.baseUrl ? { max_tokens: config.maxTokens } : { max_completion_tokens: config.maxTokens }
+        : {}),
+      response_format: chat.responseSchema
+        ? toResponseFormat(chat.responseSchema)
+        : config.responseType === "json"
+          ? { type: "json_object" }
+          : undefined,
+      tools: chat.tools?.length
+        ? chat.tools.map((tool) => ({ type: "function", function: tool }))
         : undefined,
     }),
   });
 
   if (!response.ok) {
-    const errorText = await response.text();
-    console.error("API response error:", errorText);
-    throw new Error(errorText);
+    throw await providerError(response, "openai");
   }
 
-  // create a reader to read the stream
-  const reader = response.body?.getReader();
-  const decoder = new TextDecoder("utf-8");
-
   let text = "";
-  let resolver;
-  let bufferedData = "";
-
-  const resolved = new Promise((resolve, reject) => {
-    resolver = { resolve, reject };
-  });
-
-  async function processText({ done, value }) {
-
-    if (done) {
+  const toolCalls = [];
+  let providerUsage;
 
-      // Process any remaining buffered data
-      if (bufferedData) {
-        try {
-          const lines = bufferedData.split("\n");
-          lines.forEach((line) => {
-            if (line.startsWith("data:")) {
-              const data = JSON.parse(line.slice(5).trim());
+  await readEventStream(response, (data) => {
+    // usage is sent in the last chunk, with no choices
+    if (data?.usage) providerUsage = data.usage;
 
-              const delta = data?.choices?.[0]?.delta?.content;
-              if (delta) {
-                stream(delta);
-                text += delta;
-              }
-            }
-          });
-        } catch (e) {
-          console.error("Failed to parse remaining buffered data:", e, "Buffered data:", bufferedData);
-        }
-      }
-
-      resolver.resolve({ prompt: messages, answer: text, tokens: tokenCounter(messages, text) });
-      return;
+    const delta = data?.choices?.[0]?.delta;
+    if (delta?.content) {
+      stream(delta.content);
+      text += delta.content;
     }
-
-    const chunk = decoder.decode(value, { stream: true });
-
-    bufferedData += chunk;
-    const lines = bufferedData.split("\n");
-
-    // Keep the last incomplete line in the buffer
-    bufferedData = lines.pop();
-
-    lines.forEach((line) => {
-      if (line.startsWith("data:")) {
-        let data;
-        try {
-          data = JSON.parse(line.slice(5).trim());
-        } catch (e) {
-          !line?.slice(5)?.trim()?.startsWith('[DONE]') &&
-            console.error("Failed to parse JSON:", e, "Line:", line);
-          return;
-        }
-
-        const delta = data?.choices?.[0]?.delta?.content;
-        if (delta) {
-          stream(delta);
-          text += delta;
-        }
-      }
+    // tool calls are streamed in fragments, indexed by their position
+    delta?.tool_calls?.forEach(({ index, id, function: fn }) => {
+      const toolCall = toolCalls[index] = toolCalls[index] || { id, name: "", args: "" };
+      if (id) toolCall.id = id;
+      if (fn?.name) toolCall.name += fn.name;
+      if (fn?.arguments) toolCall.args += fn.arguments;
     });
+  });
 
-    return reader.read().then(processText).catch((error) => {
-      console.error("Error reading stream:", error);
-      resolver.reject(error);
-    });
-  }
+  const parsedToolCalls = toolCalls.filter(Boolean).map(({ id, name, args }) => ({ id, name, args: parseToolArguments(args) }));
+
+  const usage = providerUsage
+    ? createUsage({
+      promptTokens: providerUsage.prompt_tokens,
+      completionTokens: providerUsage.completion_tokens,
+      cachedTokens: providerUsage.prompt_tokens_details?.cached_tokens,
+    })
+    : estimateUsage({ prompt: messages, answer: text, toolCalls: parsedToolCalls, model });
+
+  return {
+    prompt: messages,
+    answer: text,
+    toolCalls: parsedToolCalls,
+    tokens: usage.totalTokens,
+    usage,
+    model,
+  };
+};
 
-  reader.read().then(processText).catch((error) => {
-    console.error("Error starting stream read:", error);
-    resolver.reject(error);
-  });
 
-  return await resolved;
+// Schemas that cannot be strict are still sent, as guidance, with `strict: false`
+const toResponseFormat = (schema) => {
+  const strictSchema = toStrictJsonSchema(schema);
+  return {
+    type: "json_schema",
+    json_schema: {
+      name: "response",
+      schema: strictSchema || toJsonSchema(schema),
+      strict: !!strictSchema,
+    },
+  };
 };
 
+// openai reads files from data urls only: files sent by url or as raw base64 are converted first
+const toOpenAiMessages = (messages, signal) => {
+  return Promise.all(messages.map(async (message) => {
+    if (!Array.isArray(message.content)) return message;
+    return {
+      ...message,
+      content: await Promise.all(toContentParts(message.content).map(async (part) => {
+        if (part.type !== "file") return part;
+        const source = getPartSource(part);
+        const { mimeType, data } = source.url ? await fetchAsBase64(source.url, signal) : source;
+        return {
+          type: "file",
+          file: { filename: part.file.filename || "document", file_data: `data:${mimeType || source.mimeType};base64,${data}` },
+        };
+      })),
+    };
+  }));
+};
 
 export default openAiChat;
\ No newline at end of file
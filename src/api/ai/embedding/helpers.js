@@ -0,0 +1,63 @@
+import { getTokenizer } from '../chat/helpers.js';
+
+export { createUsage } from '../chat/helpers.js';
+
+// Errors thrown by the embedding providers, with a `code` callers can branch on:
+// INVALID_INPUT, AUTHENTICATION_ERROR, RATE_LIMIT, PROVIDER_ERROR or INVALID_RESPONSE
+export const embeddingError = ({ code, message, status = 500, provider }) => {
+    return { status, code, message, provider };
+}
+
+export const errorFromResponse = async (response, provider) => {
+    const errorText = await response.text();
+    console.error("API response error:", errorText);
+
+    let message = errorText;
+    try {
+        const json = JSON.parse(errorText);
+        message = json?.error?.message || json?.error || errorText;
+    } catch (_) { }
+
+    const code = [401, 403].includes(response.status)
+        ? "AUTHENTICATION_ERROR"
+        : response.status === 429
+            ? "RATE_LIMIT"
+            : response.status === 400 || response.status === 422
+                ? "INVALID_INPUT"
+                : "PROVIDER_ERROR";
+
+    return embeddingError({ code, message, status: response.status, provider });
+}
+
+export const normalizeInput = (input, provider) => {
+    const inputs = Array.isArray(input) ? input : [input];
+    if (!inputs.length || inputs.some((text) => typeof text !== "string" || !text)) {
+        throw embeddingError({ code: "INVALID_INPUT", message: "Embedding input must be a non-empty string or array of non-empty strings", status: 400, provider });
+    }
+    return inputs;
+}
+
+// Splits the inputs into batches within the provider's limits of inputs and tokens per request.
+// An input that alone exceeds the token limit gets a batch of its own, for the provider to reject.
+export const batchInputs = (inputs, { maxInputs = Infinity, maxTokens = Infinity, model } = {}) => {
+    const encoding = maxTokens === Infinity ? null : getTokenizer(model);
+
+    const batches = [];
+    let batch = [];
+    let batchTokens = 0;
+
+    for (const text of inputs) {
+        const tokens = encoding ? encoding.encode(text).length : 0;
+        if (batch.length && (batch.length >= maxInputs || batchTokens + tokens > maxTokens)) {
+            batches.push(batch);
+            batch = [];
+            batchTokens = 0;
+        }
+        batch.push(text);
+        batchTokens += tokens;
+    }
+
+    if (batch.length) batches.push(batch);
+
+    return batches;
+}
@@ -0,0 +1,57 @@
+import { batchInputs, createUsage, embeddingError, errorFromResponse, normalizeInput } from '../helpers.js';
+
+const MAX_INPUTS = 256;
+
+// Local embeddings through ollama's api (https://github.com/ollama/ollama/blob/main/docs/api.md)
+const ollamaEmbeddings = async (input) => {
+
+  const { config, env, signal } = ollamaEmbeddings;
+  const model = config.model || "nomic-embed-text";
+  const baseUrl = (config.baseUrl || env.OLLAMA_BASE_URL || "http://localhost:11434").replace(/\/$/, "");
+  const inputs = normalizeInput(input, "ollama");
+
+  const batches = batchInputs(inputs, { maxInputs: config.batchSize || MAX_INPUTS });
+
+  const embeddings = [];
+  let promptTokens = 0;
+
+  for (const batch of batches) {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/api/embed`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(config.apiKey ? { "Authorization": `Bearer ${config.apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, input: batch }),
+        signal,
+      });
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      throw embeddingError({ code: "PROVIDER_ERROR", message: `Could not reach ollama at ${baseUrl}: ${err.message}`, status: 502, provider: "ollama" });
+    }
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, "ollama");
+    }
+
+    const json = await response.json();
+
+    if (json?.embeddings?.length !== batch.length) {
+      throw embeddingError({ code: "INVALID_RESPONSE", message: `Expected ${batch.length} embeddings, received ${json?.embeddings?.length || 0}`, status: 502, provider: "ollama" });
+    }
+
+    embeddings.push(...json.embeddings);
+    promptTokens += json?.prompt_eval_count || 0;
+  }
+
+  return {
+    embeddings,
+    dimensions: embeddings[0]?.length,
+    model,
+    usage: createUsage({ promptTokens }),
+  };
+};
+
+export default ollamaEmbeddings;
@@ -1,30 +1,72 @@
-const openAiSembeddings = async (input) => {
-  // Prepare FormData with audio content
-  const { config, env } = openAiSembeddings;
-
-  // Call Embedding API
-  const response = await fetch(
-    "https://api.openai.com/v1/embeddings",
-    {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${config.apiKey || env.OPENAI_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: config.model || "text-embedding-3-small",
-        input,
-      }),
-    },
-  );
-
-  if (response.status !== 200) {
-    return
-  }
+import { batchInputs, createUsage, embeddingError, errorFromResponse, normalizeInput } from '../helpers.js';
+
+// OpenAI accepts up to 2048 inputs and 300k tokens per request
+const MAX_INPUTS = 2048;
+const MAX_TOKENS = 300000;
+
+const openAiEmbeddings = async (input) => {
+
+  const { config, env, signal } = openAiEmbeddings;
+  const model = config.model || "text-embedding-3-small";
+  const inputs = normalizeInput(input, "openai");
+
+  const batches = batchInputs(inputs, {
+    maxInputs: config.batchSize || MAX_INPUTS,
+    maxTokens: MAX_TOKENS,
+    model,
+  });
+
+  const embeddings = [];
+  let promptTokens = 0;
 
-  const json = await response.json();
+  // batches are sent one at a time to stay within the provider's rate limits
+  for (const batch of batches) {
+    let response;
+    try {
+      response = await fetch(
+        "https://api.openai.com/v1/embeddings",
+        {
+          method: "POST",
+          headers: {
+            "Authorization": `Bearer ${config.apiKey || env.OPENAI_API_KEY}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            model,
+            input: batch,
+            dimensions: config.dimensions,
+          }),
+          signal,
+        },
+      );
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      throw embeddingError({ code: "PROVIDER_ERROR", message: `Could not reach openai: ${err.message}`, status: 502, provider: "openai" });
+    }
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, "openai");
+    }
+
+    const json = await response.json();
+
+    if (json?.data?.length !== batch.length) {
+      throw embeddingError({ code: "INVALID_RESPONSE", message: `Expected ${batch.length} embeddings, received ${json?.data?.length || 0}`, status: 502, provider: "openai" });
+    }
+
+    // embeddings are not guaranteed to come back in the input order
+    json.data
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ embedding }) => embeddings.push(embedding));
+    promptTokens += json?.usage?.prompt_tokens || 0;
+  }
 
-  return json?.data?.[0]?.embedding;
+  return {
+    embeddings,
+    dimensions: embeddings[0]?.length,
+    model,
+    usage: createUsage({ promptTokens }),
+  };
 };
 
-export default openAiSembeddings;
\ No newline at end of file
+export default openAiEmbeddings;
@@ -1,3 +1,4 @@
 export * as chat from './chat/main.js';
 export * as embedding from './embedding/main.js';
-export * as speechToText from './speech-to-text/main.js';
\ No newline at end of file
+export * as speechToText from './speech-to-text/main.js';
+export * as textToSpeech from './text-to-speech/main.js';
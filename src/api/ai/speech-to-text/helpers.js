@@ -0,0 +1,32 @@
+// Builds the multipart body shared by openai-compatible transcription endpoints
+export const createTranscriptionForm = ({ blob, model, language, prompt, timestampGranularities }) => {
+  const formData = new FormData();
+  // the file extension tells the endpoint the audio format
+  const extension = blob.type?.split("/")[1]?.split(";")[0] || "wav";
+  formData.append("file", blob, `audio.${extension}`);
+  if (model) formData.append("model", model);
+  if (language) formData.append("language", language);
+  if (prompt) formData.append("prompt", prompt);
+  formData.append("response_format", "verbose_json");
+  (timestampGranularities || []).forEach((granularity) => {
+    formData.append("timestamp_granularities[]", granularity);
+  });
+  return formData;
+}
+
+// Normalizes a verbose_json transcription. `duration` and timestamps are in seconds.
+export const normalizeTranscription = (json) => {
+  const segments = (json?.segments || []).map(({ start, end, text }) => ({ start, end, text: text?.trim() }));
+
+  // whisper.cpp nests the words inside their segments
+  const words = (json?.words || (json?.segments || []).flatMap((segment) => segment.words || []))
+    .map(({ word, start, end }) => ({ word: word?.trim(), start, end }));
+
+  return {
+    text: json?.text?.trim() || "",
+    language: json?.language || json?.detected_language,
+    duration: json?.duration ?? segments[segments.length - 1]?.end ?? 0,
+    segments,
+    words,
+  };
+}
@@ -1 +1,2 @@
-export { default as openai } from './openai/main.js';
\ No newline at end of file
+export { default as openai } from './openai/main.js';
+export { default as whispercpp } from './whispercpp/main.js';
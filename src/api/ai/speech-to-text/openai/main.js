@@ -1,14 +1,9 @@
+import { createTranscriptionForm, normalizeTranscription } from '../helpers.js';
+
 const openAiSpeechToText = async ({ blob } = {}) => {
-  const { config, env } = openAiSpeechToText;
+  const { config, env, signal } = openAiSpeechToText;
   if (!blob) return
-  // Prepare FormData with audio content
   blob = await blob;
-  console.log('blob', blob)
-  const formData = new FormData();
-  formData.append("file", blob);
-  formData.append("model", config.model || 'whisper-1');
-  formData.append("language", config.language || 'pt');
-  formData.append("response_format", 'verbose_json')
 
   // Call Whisper API
   const response = await fetch(
@@ -18,17 +13,25 @@ const openAiSpeechToText = async ({ blob } = {}) => {
       headers: {
         "Authorization": `Bearer ${config.apiKey || env.OPENAI_API_KEY}`,
       },
-      body: formData,
+      body: createTranscriptionForm({
+        blob,
+        model: config.model || 'whisper-1',
+        // whisper detects the language when none is sent
+        language: config.language === 'auto' ? undefined : config.language,
+        prompt: config.prompt, // vocabulary hints
+        timestampGranularities: config.timestampGranularities,
+      }),
+      signal,
     },
   );
 
-  const json = await response.json();
-
-  return {
-    text: json?.text,
-    duration: (json?.duration) / (60 * 60),
-    error: json?.error,
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error("API response error:", errorText);
+    throw new Error(errorText);
   }
+
+  return normalizeTranscription(await response.json());
 };
 
 export default openAiSpeechToText;
@@ -0,0 +1,37 @@
+import { createTranscriptionForm, normalizeTranscription } from '../helpers.js';
+
+// Self-hosted transcription through whisper.cpp's server (https://github.com/ggerganov/whisper.cpp/tree/master/examples/server).
+// Set `inferencePath` to '/v1/audio/transcriptions' when the server runs with an openai-compatible inference path.
+const whisperCppSpeechToText = async ({ blob } = {}) => {
+  const { config, env, signal } = whisperCppSpeechToText;
+  if (!blob) return
+  blob = await blob;
+
+  const baseUrl = (config.baseUrl || env.WHISPERCPP_BASE_URL || "http://localhost:8080").replace(/\/$/, "");
+
+  const formData = createTranscriptionForm({
+    blob,
+    model: config.model,
+    // whisper.cpp detects the language with 'auto'
+    language: config.language || "auto",
+    prompt: config.prompt, // vocabulary hints
+  });
+  formData.append("temperature", `${config.temperature || 0}`);
+
+  const response = await fetch(`${baseUrl}${config.inferencePath || "/inference"}`, {
+    method: "POST",
+    headers: config.apiKey ? { "Authorization": `Bearer ${config.apiKey}` } : {},
+    body: formData,
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error("API response error:", errorText);
+    throw new Error(errorText);
+  }
+
+  return normalizeTranscription(await response.json());
+};
+
+export default whisperCppSpeechToText;
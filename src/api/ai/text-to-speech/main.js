@@ -0,0 +1 @@
+export { default as openai } from './openai/main.js';
@@ -0,0 +1,55 @@
+const openAiTextToSpeech = async ({ text } = {}, stream = () => { }) => {
+  const { config, env, signal } = openAiTextToSpeech;
+  if (!text) return
+  const format = config.format || 'mp3';
+
+  // Call Speech API
+  const response = await fetch(
+    "https://api.openai.com/v1/audio/speech",
+    {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${config.apiKey || env.OPENAI_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: config.model || 'tts-1',
+        voice: config.voice || 'alloy',
+        input: text,
+        response_format: format,
+        speed: config.speed,
+      }),
+      signal,
+    },
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error("API response error:", errorText);
+    throw new Error(errorText);
+  }
+
+  // the audio is streamed in chunks as it is generated
+  const chunks = [];
+  const reader = response.body.getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    stream(value);
+  }
+
+  const audio = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    audio.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+
+  return {
+    audio,
+    format,
+    characters: text.length,
+  };
+};
+
+export default openAiTextToSpeech;
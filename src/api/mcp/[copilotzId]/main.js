@@ -0,0 +1,196 @@
+// mcp/[copilotzId]/main.js
+
+import { getDotNotationObject } from "axion-modules/connectors/validator.ts";
+
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SERVER_VERSION = '1.0.0';
+
+/**
+ * MCP (Model Context Protocol) server of a copilotz, at `/api/mcp/:copilotzId`. The copilotz's actions are
+ * served as tools, along with a `chat` tool sending a message to the copilotz itself, which may call them too.
+ * The copilotz, its config and its actions are loaded by the api middlewares.
+ *
+ * It implements the streamable HTTP transport without sessions: each JSON-RPC message is posted and answered
+ * with a JSON response. Notifications are accepted with a 202 status, without a body.
+ *
+ * @param {Object} params - JSON-RPC message.
+ * @param {string} params.jsonrpc - '2.0'.
+ * @param {string|number} [params.id] - Request id, missing from notifications.
+ * @param {string} params.method - 'initialize', 'ping', 'tools/list' or 'tools/call'.
+ * @param {Object} [params.params] - Params of the method.
+ * @param {Object} res - Response object, setting the status of notifications.
+ * @param {Object} config - Configuration object.
+ * @param {Object} [config.TIMEOUTS] - `action` limits the tool calls to the copilotz's actions (in ms).
+ * @returns {Promise<Object|undefined>} - The JSON-RPC response, or an empty body for notifications.
+ */
+const mcpServer = async ({ jsonrpc, id, method, params = {} }, res) => {
+
+  // 1. Only posted JSON-RPC messages are accepted: the server does not open event streams
+  if (!method) {
+    throw { status: 405, message: 'MCP clients must post JSON-RPC messages to this url' };
+  }
+
+  // 2. Notifications (e.g. `notifications/initialized`) are accepted without an answer
+  if (id === undefined || id === null) return res.status(202).send();
+
+  if (jsonrpc !== '2.0') {
+    return { jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid request: jsonrpc must be "2.0"' } };
+  }
+
+  const methods = {
+    initialize,
+    ping: async () => ({}),
+    'tools/list': listTools,
+    'tools/call': callTool,
+  };
+
+  if (!methods[method]) {
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+  }
+
+  // 3. Run the method, reporting its errors as JSON-RPC errors
+  try {
+    Object.assign(methods[method], mcpServer);
+    const result = await methods[method](params);
+    return { jsonrpc: '2.0', id, result };
+  } catch (err) {
+    console.log(`[mcpServer] Error in ${method}`, err);
+    return {
+      jsonrpc: '2.0',
+      id,
+      error: { code: err.code ?? -32603, message: err.message || 'Internal error' },
+    };
+  }
+};
+
+export default mcpServer;
+
+// 4. Initialization: the client's protocol version is used when it is supported, and the latest otherwise
+const initialize = async ({ protocolVersion }) => {
+  const { resources } = initialize;
+  const { copilotz } = resources;
+
+  return {
+    protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : PROTOCOL_VERSIONS[0],
+    capabilities: { tools: { listChanged: false } },
+    serverInfo: { name: copilotz.name, version: SERVER_VERSION },
+    ...(copilotz.description ? { instructions: copilotz.description } : {}),
+  };
+};
+
+// 5. Tools: the `chat` tool, and the copilotz's actions, named as they are for native tool calling
+const listTools = async () => {
+  const { utils } = listTools;
+
+  const actions = await getActions(listTools);
+  const tools = utils.actionsToTools(actions)
+    .filter(({ name }) => name !== chatTool.name)
+    .map(({ name, description, parameters }) => ({ name, description, inputSchema: parameters }));
+
+  return { tools: [getChatTool(listTools), ...tools] };
+};
+
+const callTool = async ({ name, arguments: args = {} }) => {
+  const { utils, resources } = callTool;
+  const { abortable } = utils;
+  const { config, signal } = resources;
+
+  if (name === chatTool.name) {
+    Object.assign(chat, callTool);
+    return chat(args);
+  }
+
+  const actions = await getActions(callTool);
+  const actionName = Object.keys(actions).find((key) => utils.toToolName(key) === name);
+  if (!actionName) throw { code: -32602, message: `Unknown tool: ${name}` };
+
+  console.log(`[mcpServer] Calling action: ${actionName}`);
+
+  // 5.1. Actions are aborted with the request, or after `config.TIMEOUTS.action` (in ms). Their errors are
+  // tool results, for the client's model to see.
+  const actionTimeout = config?.TIMEOUTS?.action;
+  const actionSignal = AbortSignal.any([
+    signal,
+    actionTimeout ? AbortSignal.timeout(actionTimeout) : undefined,
+  ].filter(Boolean));
+  try {
+    const result = await abortable(
+      Promise.resolve(actions[actionName]({ ...args, _user: resources.user, _signal: actionSignal })),
+      actionSignal
+    );
+    return toToolResult(result);
+  } catch (err) {
+    const message = actionSignal.aborted && !signal?.aborted
+      ? `Function exceeded the ${actionTimeout}ms time limit`
+      : err?.message || `${err}`;
+    return { content: [{ type: 'text', text: message }], isError: true };
+  }
+};
+
+// 6. Chat with the copilotz, in a new thread or in the thread of a previous answer
+const chatTool = {
+  name: 'chat',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', description: 'Message to send' },
+      threadId: { type: 'string', description: 'Thread id of a previous answer, to continue its conversation' },
+    },
+    required: ['message'],
+  },
+};
+
+const getChatTool = ({ resources }) => {
+  const { copilotz } = resources;
+  return {
+    ...chatTool,
+    description: `Sends a message to ${copilotz.name}${copilotz.description ? `, ${copilotz.description}` : ''}, and returns its answer with the thread id of the conversation`,
+  };
+};
+
+const chat = async ({ message, threadId }) => {
+  const { models, modules, resources } = chat;
+  const { copilotz, user } = resources;
+
+  if (!message) throw { code: -32602, message: 'Missing required arguments: message' };
+
+  // 6.1. Get or create the thread, the way the `getThread` middleware does. Threads of other users can't
+  // be continued, and requests without a user only continue threads without one.
+  const extId = threadId || crypto.randomUUID();
+  let thread = await models.threads.findOne({ extId, copilotz: copilotz._id });
+  if (thread && (thread.user ?? null) !== (user?._id ?? null)) {
+    throw { code: -32602, message: `Thread not found: ${extId}` };
+  }
+  thread = thread || await models.threads.create({ extId, copilotz: copilotz._id, ...(user ? { user: user._id } : {}) });
+
+  // 6.2. Run the functionCall agent as the entry agent, without streaming its answer
+  console.log(`[mcpServer] Chatting in thread ${extId}`);
+  const agent = modules.agents.functionCall;
+  Object.assign(agent, chat, { resources: { ...resources, thread } });
+  const response = await agent(
+    { input: message, user, thread: { extId } },
+    { stream: () => { } }
+  );
+
+  return {
+    content: [{ type: 'text', text: response?.message || '' }],
+    structuredContent: { message: response?.message || '', threadId: extId },
+  };
+};
+
+// Actions are loaded the way the functionCall agent loads them
+const getActions = async (deps) => {
+  const { resources, utils } = deps;
+  const actionsObj = await utils.loadActions(resources.copilotz?.actions || [], deps);
+  return getDotNotationObject(actionsObj);
+};
+
+// Text results are sent as text, and other results as JSON, with objects as structured content
+const toToolResult = (result) => {
+  if (typeof result === 'string') return { content: [{ type: 'text', text: result }] };
+  const isObject = result && typeof result === 'object' && !Array.isArray(result);
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result ?? null) }],
+    ...(isObject ? { structuredContent: result } : {}),
+  };
+};
@@ -4,6 +4,8 @@ import {
     getConfig,
     getJob,
     getSubscription,
+    getThread,
+    getSignal,
 } from './_middlewares/main.js';
 
 const middleware: any = async (req: any) => {
@@ -16,6 +18,8 @@ const middleware: any = async (req: any) => {
         getConfig,
         getJob,
         getSubscription,
+        getThread,
+        getSignal,
     ];
 
     for (const middlewareFn of middlewares) {
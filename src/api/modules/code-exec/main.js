@@ -0,0 +1,255 @@
+// code-exec/main.js
+
+const DEFAULT_TIMEOUT = 5000; // in milliseconds
+const DEFAULT_MEMORY_LIMIT = 64; // in megabytes
+const MAX_OUTPUT_LENGTH = 10000; // in characters
+const MAX_STREAM_BYTES = 1024 * 1024; // read from each of stdout and stderr, in bytes
+const RUNTIME_MEMORY = 64; // resident memory of the Deno runtime itself, allowed on top of the memory limit, in megabytes
+const MEMORY_CHECK_INTERVAL = 20; // in milliseconds
+
+/**
+ * Runs model-written JavaScript or TypeScript in a separate Deno process, without permissions:
+ * no network, no filesystem, no environment variables and no subprocesses. The process does not
+ * inherit the environment of the api either.
+ * The code is the body of an async function: `return` a JSON-serializable value to send it back.
+ * The `input` arg is available to the code as the `input` variable.
+ *
+ * @param {Object} params - Function parameters.
+ * @param {string} params.code - Code to run.
+ * @param {string} [params.language='javascript'] - 'javascript' or 'typescript'.
+ * @param {any} [params.input] - JSON-serializable data passed to the code.
+ * @param {Object} config.CODE_EXEC - Sandbox limits, read from the copilotz config.
+ * @param {number} [config.CODE_EXEC.timeout=5000] - Wall time limit, in milliseconds.
+ * @param {number} [config.CODE_EXEC.memoryLimit=64] - Memory limit, in megabytes. The heap is limited by V8; on Linux, the resident memory (array buffers included) is also checked, allowing 64MB more for the runtime.
+ * @returns {Promise<Object>} - { status, result, stdout, error, duration }
+ */
+const codeExec = async ({ code, language = 'javascript', input, _user, _signal } = {}) => {
+
+    const { resources } = codeExec;
+
+    if (!code) throw { status: 400, message: 'Missing required fields: code' };
+
+    const extension = { javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts' }[language?.toLowerCase()];
+    if (!extension) throw { status: 400, message: `Unsupported language "${language}". Use 'javascript' or 'typescript'.` };
+
+    const { timeout = DEFAULT_TIMEOUT, memoryLimit = DEFAULT_MEMORY_LIMIT } = resources?.config?.CODE_EXEC || {};
+
+    // The result envelope is written after a random boundary, so the code cannot forge it
+    const boundary = `__CODE_EXEC_${crypto.randomUUID()}__`;
+
+    console.log(`[codeExec] Running ${language} code with a ${timeout}ms timeout and ${memoryLimit}MB memory limit`);
+
+    const startTime = Date.now();
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    // the sandbox is also killed when the action is aborted by the agent
+    const signal = _signal ? AbortSignal.any([timeoutSignal, _signal]) : timeoutSignal;
+
+    // No --allow-* flags: every permission is denied. Remote and npm imports are disabled, since module
+    // downloads are not covered by the network permission.
+    const command = new Deno.Command(Deno.execPath(), {
+        args: [
+            'run',
+            '--no-prompt',
+            '--no-config',
+            '--no-lock',
+            '--no-remote',
+            '--no-npm',
+            `--v8-flags=--max-old-space-size=${memoryLimit}`,
+            `--ext=${extension}`,
+            '-',
+        ],
+        stdin: 'piped',
+        stdout: 'piped',
+        stderr: 'piped',
+        clearEnv: true,
+        env: { NO_COLOR: '1' },
+        signal,
+    });
+
+    // Output is read up to MAX_STREAM_BYTES, and memory is checked: code that goes past them is killed
+    let child, status;
+    let outputLimited = false;
+    let memoryLimited = false;
+    const kill = () => {
+        try {
+            child.kill();
+        } catch (_) { }
+    };
+    const onOutputLimit = () => {
+        outputLimited = true;
+        kill();
+    };
+    let stdoutBytes, stderrBytes;
+    let stopWatchingMemory = () => { };
+    try {
+        child = command.spawn();
+        stopWatchingMemory = watchMemory(child.pid, (memoryLimit + RUNTIME_MEMORY) * 1024 * 1024, () => {
+            memoryLimited = true;
+            kill();
+        });
+        const writeScript = async () => {
+            const writer = child.stdin.getWriter();
+            await writer.write(new TextEncoder().encode(createScript({ code, input, boundary })));
+            await writer.close();
+        };
+        [stdoutBytes, stderrBytes] = await Promise.all([
+            readLimited(child.stdout, onOutputLimit),
+            readLimited(child.stderr, onOutputLimit),
+            writeScript().catch(() => { }),
+        ]);
+        status = await child.status;
+    } catch (err) {
+        if (!signal.aborted) {
+            console.error('[codeExec] Error starting sandbox', err);
+            throw { status: 500, message: `Error starting code sandbox: ${err.message}` };
+        }
+    } finally {
+        stopWatchingMemory();
+    }
+
+    const duration = Date.now() - startTime;
+    const stdout = new TextDecoder().decode(stdoutBytes || new Uint8Array());
+    const stderr = new TextDecoder().decode(stderrBytes || new Uint8Array());
+
+    // 1. Code Ran to Completion
+    // The envelope is the rest of the boundary line, and the sandbox exits right after writing it
+    const boundaryIndex = outputLimited || memoryLimited ? -1 : stdout.lastIndexOf(boundary);
+    const envelope = boundaryIndex !== -1 ? parseEnvelope(stdout.slice(boundaryIndex + boundary.length).split('\n')[0]) : null;
+    if (envelope) {
+        const printed = [stdout.slice(0, boundaryIndex).trim(), envelope.stdout].filter(Boolean).join('\n');
+        console.log(`[codeExec] Code finished in ${duration}ms`);
+        return {
+            status: envelope.error ? 'failed' : 'ok',
+            ...(envelope.error ? {} : { result: envelope.result }),
+            stdout: truncate(printed),
+            ...(envelope.error ? { error: { code: 'RUNTIME_ERROR', ...envelope.error } } : {}),
+            duration,
+        };
+    }
+
+    // 2. Sandbox was Killed or Code did not Compile
+    const error = outputLimited
+        ? { code: 'OUTPUT_LIMIT', message: `Code output exceeded the ${MAX_STREAM_BYTES} bytes limit` }
+        : memoryLimited
+        ? { code: 'MEMORY_LIMIT', message: `Code execution exceeded the ${memoryLimit}MB memory limit` }
+        : timeoutSignal.aborted
+        ? { code: 'TIMEOUT', message: `Code execution exceeded the ${timeout}ms time limit` }
+        : signal.aborted
+            ? { code: 'CANCELLED', message: 'Code execution was cancelled' }
+            : /out of memory|heap limit/i.test(stderr)
+            ? { code: 'MEMORY_LIMIT', message: `Code execution exceeded the ${memoryLimit}MB memory limit` }
+            : { code: 'EXECUTION_ERROR', message: truncate(stderr.trim()) || `Code exited with code ${status?.code}` };
+
+    console.log(`[codeExec] Code failed after ${duration}ms: ${error.code}`);
+
+    return {
+        status: 'failed',
+        stdout: truncate(stdout.trim()),
+        error,
+        duration,
+    };
+};
+
+// Reads a stream up to MAX_STREAM_BYTES, calling `onLimit` when it goes past them
+const readLimited = async (stream, onLimit) => {
+    const chunks = [];
+    let length = 0;
+    const reader = stream.getReader();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            if (length + value.length > MAX_STREAM_BYTES) {
+                chunks.push(value.subarray(0, MAX_STREAM_BYTES - length));
+                length = MAX_STREAM_BYTES;
+                onLimit();
+                await reader.cancel().catch(() => { });
+                break;
+            }
+            chunks.push(value);
+            length += value.length;
+        }
+    } catch (_) {
+        // the stream errors when the sandbox is killed
+    }
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+};
+
+// The heap limit does not cover array buffers, so the resident memory of the sandbox is checked too.
+// It is read from /proc, on Linux only.
+const watchMemory = (pid, limit, onLimit) => {
+    if (Deno.build.os !== 'linux') return () => { };
+    let checking = false;
+    const timer = setInterval(async () => {
+        if (checking) return;
+        checking = true;
+        try {
+            const processStatus = await Deno.readTextFile(`/proc/${pid}/status`);
+            const residentKb = Number(processStatus.match(/VmRSS:\s+(\d+)/)?.[1] || 0);
+            if (residentKb * 1024 > limit) {
+                clearInterval(timer);
+                onLimit();
+            }
+        } catch (_) {
+            // the sandbox has exited
+            clearInterval(timer);
+        }
+        checking = false;
+    }, MEMORY_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+};
+
+const parseEnvelope = (line) => {
+    try {
+        return JSON.parse(line);
+    } catch (_) {
+        return null;
+    }
+};
+
+const truncate = (text) => text.length > MAX_OUTPUT_LENGTH
+    ? `${text.slice(0, MAX_OUTPUT_LENGTH)}\n... (${text.length - MAX_OUTPUT_LENGTH} characters truncated)`
+    : text;
+
+// Wraps the code in an async function, capturing console output and the returned value
+const createScript = ({ code, input, boundary }) => `
+const __log = console.log.bind(console);
+const __output = [];
+let __outputLength = 0;
+for (const __method of ['log', 'info', 'debug', 'warn', 'error']) {
+    console[__method] = (...args) => {
+        const line = args.map((arg) => typeof arg === 'string' ? arg : Deno.inspect(arg, { depth: 4 })).join(' ');
+        __outputLength += line.length;
+        if (__outputLength <= ${MAX_OUTPUT_LENGTH}) __output.push(line);
+    };
+}
+
+const __envelope = {};
+try {
+    const input = ${JSON.stringify(input ?? null)};
+    __envelope.result = await (async () => {
+${code}
+    })();
+} catch (error) {
+    __envelope.error = { name: error?.name, message: error?.message ?? String(error) };
+}
+__envelope.stdout = __output.join('\\n');
+
+let __serialized;
+try {
+    __serialized = JSON.stringify(__envelope);
+} catch (error) {
+    __serialized = JSON.stringify({ ...__envelope, result: String(__envelope.result) });
+}
+__log(${JSON.stringify(boundary)} + __serialized);
+// pending timers and output of the code are discarded
+Deno.exit(0);
+`;
+
+export default codeExec;
@@ -1 +1,4 @@
-export { default as request } from "./request/main.js";
\ No newline at end of file
+export { default as request } from "./request/main.js";
+export { default as rag } from "./rag/main.js";
+export { default as codeExec } from "./code-exec/main.js";
+export { default as mcp } from "./mcp/main.js";
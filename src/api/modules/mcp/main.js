@@ -0,0 +1,306 @@
+// mcp/main.js
+
+import { readEventStream } from '../../ai/chat/helpers.js';
+
+const PROTOCOL_VERSION = '2025-03-26';
+const CLIENT_INFO = { name: 'copilotz', version: '1.0.0' };
+const DEFAULT_TIMEOUT = 60000; // in milliseconds
+const DEFAULT_IDLE_TIMEOUT = 300000; // in milliseconds
+
+// Open connections, by server. Servers are started once, and closed after `idleTimeout` without requests.
+const connections = new Map();
+
+/**
+ * Sends a JSON-RPC request to an MCP (Model Context Protocol) server, e.g. `tools/list` or `tools/call`.
+ * The connection is opened and initialized on the first request to the server, and reused after that.
+ *
+ * @param {Object} server - MCP server connection.
+ * @param {string} [server.transport] - 'stdio', 'http' (streamable HTTP) or 'sse' (HTTP with SSE, from older servers). Defaults to 'stdio' with a `command`, and 'http' with a `url`.
+ * @param {string} [server.command] - stdio: command that starts the server. Only the commands listed in `env.MCP_STDIO_COMMANDS` (comma separated, or '*') can be started. An entry with args (e.g. 'npx -y @modelcontextprotocol/server-memory') only allows the command with these first args.
+ * @param {Array<string>} [server.args] - stdio: args of the command.
+ * @param {Object} [server.env] - stdio: environment variables of the server. Only these and `PATH` are passed to it.
+ * @param {string} [server.cwd] - stdio: working directory of the server.
+ * @param {string} [server.url] - http and sse: url of the server.
+ * @param {Object} [server.headers] - http and sse: headers of the requests (e.g. `Authorization`).
+ * @param {number} [server.timeout=60000] - Time limit of each request, in milliseconds.
+ * @param {number} [server.idleTimeout=300000] - Time without requests before the connection is closed, in milliseconds.
+ * @param {Object} options - Request options.
+ * @param {string} options.method - JSON-RPC method.
+ * @param {Object} [options.params] - JSON-RPC params.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<any>} - The result of the request. JSON-RPC errors are thrown as { status, code, message, data }.
+ */
+const mcp = async (server, { method, params, signal } = {}) => {
+
+    const { env } = mcp;
+
+    const key = JSON.stringify(server);
+    if (!connections.has(key)) {
+        const connection = connect(server, { env }).catch((err) => {
+            connections.delete(key);
+            throw err;
+        });
+        connections.set(key, connection);
+    }
+    const client = await connections.get(key);
+    if (client.closed) {
+        connections.delete(key);
+        return mcp(server, { method, params, signal });
+    }
+
+    return client.request(method, params, signal);
+};
+
+export default mcp;
+
+// Closes all open connections, stopping stdio servers
+export const closeConnections = async () => {
+    const clients = await Promise.allSettled([...connections.values()]);
+    connections.clear();
+    await Promise.all(clients.map(({ value }) => value?.close()));
+};
+
+// 1. Opens a connection and runs the initialization handshake
+const connect = async (server, { env }) => {
+    const transportName = server.transport || (server.url ? 'http' : 'stdio');
+    const createTransport = { stdio: stdioTransport, http: httpTransport, sse: sseTransport }[transportName];
+    if (!createTransport) {
+        throw { status: 400, message: `Unsupported MCP transport "${transportName}". Use 'stdio', 'http' or 'sse'.` };
+    }
+
+    console.log(`[mcp] Connecting to ${server.command || server.url} over ${transportName}`);
+
+    const { timeout = DEFAULT_TIMEOUT, idleTimeout = DEFAULT_IDLE_TIMEOUT } = server;
+    const pending = new Map();
+    let nextId = 1;
+    let idleTimer;
+
+    const client = { closed: false };
+
+    // 1.1. Responses settle their requests, and the server's own requests are answered
+    const onMessage = (message) => {
+        if (message.id !== undefined && (message.result !== undefined || message.error)) {
+            const request = pending.get(message.id);
+            if (!request) return;
+            pending.delete(message.id);
+            return message.error
+                ? request.reject({ status: 502, code: message.error.code, message: message.error.message, data: message.error.data })
+                : request.resolve(message.result);
+        }
+        if (message.id !== undefined && message.method) {
+            // pings are the only server requests supported: no roots, sampling or elicitation
+            const response = message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } };
+            transport.send(response).catch(() => { });
+        }
+    };
+
+    const onClose = (reason) => {
+        client.closed = true;
+        clearTimeout(idleTimer);
+        pending.forEach(({ reject }) => reject({ status: 502, message: `MCP server connection closed${reason ? `: ${reason}` : ''}` }));
+        pending.clear();
+    };
+
+    const transport = await createTransport(server, { env, onMessage, onClose });
+
+    // 1.2. Requests time out, and cancelled requests are notified to the server
+    client.request = (method, params, signal) => {
+        const id = nextId++;
+        const requestSignal = AbortSignal.any([AbortSignal.timeout(timeout), signal].filter(Boolean));
+
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => client.close(), idleTimeout);
+        Deno.unrefTimer(idleTimer);
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                pending.delete(id);
+                transport.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: id, reason: `${requestSignal.reason}` } }).catch(() => { });
+                reject(requestSignal.reason?.name === 'TimeoutError'
+                    ? { status: 504, message: `MCP request ${method} timed out after ${timeout}ms` }
+                    : requestSignal.reason);
+            };
+            if (requestSignal.aborted) return onAbort();
+            requestSignal.addEventListener('abort', onAbort, { once: true });
+
+            pending.set(id, {
+                resolve: (result) => {
+                    requestSignal.removeEventListener('abort', onAbort);
+                    resolve(result);
+                },
+                reject: (err) => {
+                    requestSignal.removeEventListener('abort', onAbort);
+                    reject(err);
+                },
+            });
+            transport.send({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) }, requestSignal)
+                .catch((err) => {
+                    pending.get(id)?.reject(err);
+                    pending.delete(id);
+                });
+        });
+    };
+
+    client.close = async () => {
+        if (client.closed) return;
+        onClose();
+        await transport.close().catch(() => { });
+    };
+
+    // 1.3. Initialization handshake
+    try {
+        const { protocolVersion, serverInfo } = await client.request('initialize', {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {},
+            clientInfo: CLIENT_INFO,
+        });
+        transport.protocolVersion = protocolVersion;
+        await transport.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+        console.log(`[mcp] Connected to ${serverInfo?.name || server.command || server.url} (protocol ${protocolVersion})`);
+    } catch (err) {
+        await client.close();
+        throw err;
+    }
+
+    return client;
+};
+
+// 2. stdio: the server is a subprocess, exchanging newline-delimited messages
+const stdioTransport = async ({ command, args = [], env: serverEnv = {}, cwd }, { env, onMessage, onClose }) => {
+    if (!command) throw { status: 400, message: 'Missing required fields: command' };
+    if (!isAllowedCommand([command, ...args], env?.MCP_STDIO_COMMANDS)) {
+        throw { status: 403, message: `MCP server command "${command}" is not allowed. Add it to the MCP_STDIO_COMMANDS environment variable.` };
+    }
+
+    // the server only gets its own variables, not the secrets of the api
+    const child = new Deno.Command(command, {
+        args,
+        cwd,
+        clearEnv: true,
+        env: { ...(Deno.env.get('PATH') ? { PATH: Deno.env.get('PATH') } : {}), ...serverEnv },
+        stdin: 'piped',
+        stdout: 'piped',
+        stderr: 'inherit',
+    }).spawn();
+
+    const writer = child.stdin.getWriter();
+    const encoder = new TextEncoder();
+
+    // reads messages until the server exits
+    (async () => {
+        let buffer = '';
+        try {
+            for await (const chunk of child.stdout.pipeThrough(new TextDecoderStream())) {
+                buffer += chunk;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.filter((line) => line.trim()).forEach((line) => receive(line, onMessage));
+            }
+        } catch (_) { }
+        const { code } = await child.status;
+        onClose(`server exited with code ${code}`);
+    })();
+
+    return {
+        send: (message) => writer.write(encoder.encode(`${JSON.stringify(message)}\n`)),
+        close: async () => {
+            await writer.close().catch(() => { });
+            try {
+                child.kill();
+            } catch (_) { }
+            await child.status;
+        },
+    };
+};
+
+// 3. Streamable HTTP: messages are posted, and answered with json or an event stream
+const httpTransport = async ({ url, headers = {} }, { onMessage }) => {
+    let sessionId;
+    const transport = {
+        send: async (message, signal) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json, text/event-stream',
+                    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+                    ...(transport.protocolVersion ? { 'MCP-Protocol-Version': transport.protocolVersion } : {}),
+                    ...headers,
+                },
+                body: JSON.stringify(message),
+                signal,
+            });
+            sessionId = response.headers.get('mcp-session-id') || sessionId;
+
+            if (!response.ok) {
+                throw { status: response.status, message: `MCP server error: ${await response.text().catch(() => response.statusText)}` };
+            }
+            if (response.headers.get('content-type')?.includes('text/event-stream')) {
+                await readEventStream(response, (data) => receive(data, onMessage), { raw: true });
+            } else if (response.status !== 202) {
+                const body = await response.text();
+                if (body) receive(body, onMessage);
+            }
+        },
+        close: async () => {
+            if (!sessionId) return;
+            await fetch(url, { method: 'DELETE', headers: { ...headers, 'Mcp-Session-Id': sessionId } })
+                .then((response) => response.body?.cancel())
+                .catch(() => { });
+        },
+    };
+    return transport;
+};
+
+// 4. HTTP with SSE: messages are posted to the endpoint announced in the event stream, which carries the responses
+const sseTransport = async ({ url, headers = {} }, { onMessage, onClose }) => {
+    const controller = new AbortController();
+    const response = await fetch(url, { headers: { Accept: 'text/event-stream', ...headers }, signal: controller.signal });
+    if (!response.ok) {
+        throw { status: response.status, message: `MCP server error: ${await response.text().catch(() => response.statusText)}` };
+    }
+
+    const endpoint = await new Promise((resolve, reject) => {
+        readEventStream(response, (data, { event }) => {
+            if (event === 'endpoint') return resolve(new URL(data, url).href);
+            if (event === 'message' || !event) receive(data, onMessage);
+        }, { raw: true })
+            .then(() => onClose('event stream ended'))
+            .catch((err) => controller.signal.aborted ? onClose() : onClose(err.message))
+            .finally(() => reject({ status: 502, message: 'MCP server did not announce its endpoint' }));
+    });
+
+    return {
+        send: async (message, signal) => {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(message),
+                signal,
+            });
+            await response.body?.cancel();
+            if (!response.ok) throw { status: response.status, message: `MCP server error: ${response.statusText}` };
+        },
+        close: async () => controller.abort(),
+    };
+};
+
+// Entries of `MCP_STDIO_COMMANDS` allow a command, or a command with its first args
+const isAllowedCommand = (commandLine, allowedCommands = '') => {
+    const entries = allowedCommands.split(',').map((entry) => entry.trim().split(/\s+/)).filter(([name]) => name);
+    return entries.some((entry) => entry[0] === '*' || entry.every((part, index) => commandLine[index] === part));
+};
+
+// Messages (or batches of messages) that are not valid JSON are skipped
+const receive = (data, onMessage) => {
+    let messages;
+    try {
+        messages = [].concat(JSON.parse(data));
+    } catch (err) {
+        console.error('[mcp] Invalid message from the server', err, data);
+        return;
+    }
+    messages.forEach(onMessage);
+};
@@ -0,0 +1,320 @@
+// rag/main.js
+
+const DEFAULT_CHUNK_SIZE = 1000; // in characters
+const DEFAULT_CHUNK_OVERLAP = 200;
+const DEFAULT_LIMIT = 5;
+const DEFAULT_MIN_SCORE = 0.3;
+
+// Chunks are ranked in memory, so a search reads at most this many chunks (about 60MB of 1536-dimension
+// embeddings). Knowledge bases past it are only partly searched: split them across copilotz instead.
+const MAX_SEARCH_CHUNKS = 5000;
+
+/**
+ * Retrieval augmented generation over knowledge bases stored in the database. Operations are limited to
+ * the knowledge bases of the copilotz (`resources.copilotz.knowledgeBases`): knowledge bases created
+ * by ingestion are added to them.
+ *
+ * @param {Object} params - Function parameters.
+ * @param {string} [params.operation='search'] - 'ingest', 'search' or 'delete'.
+ * @param {number|string} [params.knowledgeBase] - Knowledge base id or name. Searches default to the copilotz knowledge bases.
+ * @param {string} [params.name] - Document name (ingest).
+ * @param {string} [params.content] - Document text, markdown or text extracted from a PDF (ingest).
+ * @param {string} [params.mimeType='text/plain'] - 'text/plain', 'text/markdown' or 'application/pdf' (ingest).
+ * @param {Object} [params.metadata] - Document metadata, returned with the search results (ingest).
+ * @param {number} [params.chunkSize=1000] - Maximum chunk length, in characters (ingest).
+ * @param {number} [params.chunkOverlap=200] - Characters repeated between consecutive chunks (ingest).
+ * @param {string} [params.query] - Text to search for (search).
+ * @param {number} [params.limit=5] - Maximum number of results (search).
+ * @param {number} [params.minScore=0.3] - Minimum cosine similarity of the results (search), among the first 5000 chunks of the knowledge bases.
+ * @param {number} [params.document] - Document id (delete).
+ * @param {AbortSignal} [params._signal] - Cancels the embedding requests.
+ * @returns {Promise<Object|Array<Object>>} - The ingested document, the search results or the deleted document.
+ */
+const rag = async ({ operation = 'search', _user, _signal, ...params } = {}) => {
+
+    const operations = { ingest, search, delete: deleteDocument };
+
+    const operationFn = operations[operation];
+    if (!operationFn) {
+        throw { status: 400, message: `Invalid RAG operation "${operation}". Available operations: ${Object.keys(operations).join(', ')}` };
+    }
+
+    Object.assign(operationFn, rag);
+    Object.assign(embed, rag);
+    Object.assign(getKnowledgeBase, rag);
+    Object.assign(getKnowledgeBaseIds, rag);
+    Object.assign(findChunks, rag);
+
+    return await operationFn({ ...params, signal: _signal });
+};
+
+const ingest = async ({ knowledgeBase, name, content, mimeType = 'text/plain', metadata, chunkSize, chunkOverlap, signal }) => {
+
+    const { models } = ingest;
+
+    if (!knowledgeBase || !name || !content) {
+        throw { status: 400, message: 'Missing required fields: knowledgeBase, name, content' };
+    }
+
+    console.log(`[rag] Ingesting document "${name}" into knowledge base "${knowledgeBase}"`);
+
+    // 1. Get or Create Knowledge Base
+    const knowledgeBaseDoc = await getKnowledgeBase(knowledgeBase, { create: true });
+
+    // 2. Split Document into Chunks
+    const chunks = chunkText(normalizeText(content, mimeType), {
+        chunkSize: chunkSize || DEFAULT_CHUNK_SIZE,
+        chunkOverlap: chunkOverlap ?? DEFAULT_CHUNK_OVERLAP,
+        markdown: mimeType === 'text/markdown',
+    });
+
+    // 3. Embed Chunks
+    const embeddings = chunks.length ? await embed(chunks, signal) : [];
+
+    // 4. Store Document and Chunks
+    const documentDoc = await models.documents.create({
+        knowledgeBase: knowledgeBaseDoc._id,
+        name,
+        mimeType,
+        metadata: metadata || {},
+        chunks: chunks.length,
+    });
+
+    await Promise.all(chunks.map((chunk, index) => models.chunks.create({
+        knowledgeBase: knowledgeBaseDoc._id,
+        document: documentDoc._id,
+        index,
+        content: chunk,
+        embedding: embeddings[index],
+    })));
+
+    console.log(`[rag] Ingested ${chunks.length} chunks from document "${name}"`);
+
+    return {
+        knowledgeBase: knowledgeBaseDoc._id,
+        document: documentDoc._id,
+        name,
+        chunks: chunks.length,
+    };
+};
+
+const search = async ({ knowledgeBase, query, limit, minScore, signal }) => {
+
+    const { models } = search;
+
+    if (!query) throw { status: 400, message: 'Missing required fields: query' };
+
+    // 1. Get Knowledge Bases to Search
+    const knowledgeBaseIds = knowledgeBase
+        ? [(await getKnowledgeBase(knowledgeBase))._id]
+        : getKnowledgeBaseIds();
+
+    if (!knowledgeBaseIds.length) return [];
+
+    console.log(`[rag] Searching ${knowledgeBaseIds.length} knowledge bases`);
+
+    // 2. Embed Query and Rank Chunks by Cosine Similarity
+    const [queryEmbedding, chunks] = await Promise.all([
+        embed(query, signal).then(([embedding]) => embedding),
+        findChunks(knowledgeBaseIds),
+    ]);
+
+    const results = chunks
+        .map((chunk) => ({ chunk, score: cosineSimilarity(queryEmbedding, chunk.embedding) }))
+        .filter(({ score }) => score >= (minScore ?? DEFAULT_MIN_SCORE))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit || DEFAULT_LIMIT);
+
+    // 3. Attach Source Documents
+    const documentIds = [...new Set(results.map(({ chunk }) => chunk.document))];
+    const documents = await Promise.all(documentIds.map((id) => models.documents.findOne({ _id: id })));
+
+    console.log(`[rag] Found ${results.length} matching chunks`);
+
+    return results.map(({ chunk, score }) => {
+        const documentDoc = documents.find((doc) => doc?._id === chunk.document);
+        return {
+            content: chunk.content,
+            score,
+            knowledgeBase: chunk.knowledgeBase,
+            document: { _id: chunk.document, name: documentDoc?.name, metadata: documentDoc?.metadata },
+        };
+    });
+};
+
+// Chunks of the knowledge bases, in order, up to MAX_SEARCH_CHUNKS
+const findChunks = async (knowledgeBaseIds) => {
+
+    const { models } = findChunks;
+
+    const chunks = [];
+    for (const id of knowledgeBaseIds) {
+        // one more chunk than the cap allows tells whether chunks are left out
+        chunks.push(...await models.chunks.find({ knowledgeBase: id }, { sort: { _id: 1 }, limit: MAX_SEARCH_CHUNKS - chunks.length + 1 }));
+        if (chunks.length > MAX_SEARCH_CHUNKS) {
+            console.log(`[rag] The knowledge bases have more than ${MAX_SEARCH_CHUNKS} chunks: only the first ${MAX_SEARCH_CHUNKS} are searched`);
+            return chunks.slice(0, MAX_SEARCH_CHUNKS);
+        }
+    }
+    return chunks;
+};
+
+const deleteDocument = async ({ document }) => {
+
+    const { models } = deleteDocument;
+
+    document = Number(document);
+    if (!document) throw { status: 400, message: 'Missing required fields: document' };
+
+    // documents of other knowledge bases are reported as not found
+    const documentDoc = await models.documents.findOne({ _id: document });
+    if (!documentDoc || !getKnowledgeBaseIds().includes(documentDoc.knowledgeBase)) {
+        throw { status: 404, message: 'Document not found' };
+    }
+
+    const chunks = await models.chunks.find({ document });
+    await Promise.all(chunks.map((chunk) => models.chunks.delete({ _id: chunk._id })));
+    await models.documents.delete({ _id: document });
+
+    return { _id: document, deleted: true };
+};
+
+// Ids of the copilotz knowledge bases, the only ones its operations can use
+const getKnowledgeBaseIds = () => {
+    const { resources } = getKnowledgeBaseIds;
+    return (resources?.copilotz?.knowledgeBases || []).map((kb) => kb?._id || kb).filter(Boolean);
+};
+
+// Finds a knowledge base of the copilotz by id or name, optionally creating it and adding it to the copilotz
+const getKnowledgeBase = async (knowledgeBase, { create } = {}) => {
+
+    const { models, resources } = getKnowledgeBase;
+
+    const copilotz = resources?.copilotz;
+    const knowledgeBaseIds = getKnowledgeBaseIds();
+
+    const isId = !isNaN(Number(knowledgeBase));
+    const knowledgeBaseDocs = await Promise.all(knowledgeBaseIds.map((id) => models.knowledgeBases.findOne({ _id: id })));
+    let knowledgeBaseDoc = knowledgeBaseDocs.find((doc) => doc && (isId ? doc._id === Number(knowledgeBase) : doc.name === knowledgeBase));
+
+    if (!knowledgeBaseDoc && create && !isId && copilotz?._id) {
+        knowledgeBaseDoc = await models.knowledgeBases.create({ name: knowledgeBase });
+        copilotz.knowledgeBases = [...knowledgeBaseIds, knowledgeBaseDoc._id];
+        await models.copilotz.update({ _id: copilotz._id }, { knowledgeBases: copilotz.knowledgeBases });
+    }
+
+    if (!knowledgeBaseDoc) throw { status: 404, message: `Knowledge base "${knowledgeBase}" not found` };
+
+    return knowledgeBaseDoc;
+};
+
+// Embeds a text or an array of texts, returning one vector per text
+const embed = async (input, signal) => {
+
+    const { modules, resources, env } = embed;
+
+    const config = resources?.config;
+
+    const { provider, ...providerOptions } = config?.AI_EMBEDDING_PROVIDER || {
+        provider: 'openai',
+    }; // use openai as default provider
+
+    const aiEmbedding = modules.ai.embedding[provider];
+    if (!aiEmbedding) {
+        throw { status: 400, message: `AI embedding provider "${provider}" not found. Available providers: ${Object.keys(modules.ai.embedding).join(', ')}` };
+    }
+
+    Object.assign(aiEmbedding, {
+        config: {
+            ...providerOptions,
+            apiKey:
+                config?.[`${provider}_CREDENTIALS`]?.apiKey || // check for custom credentials in config
+                env?.[`${provider}_CREDENTIALS_apiKey`], // use default credentials from env
+        },
+        env,
+        signal,
+    });
+
+    const { embeddings } = await aiEmbedding(input);
+
+    return embeddings;
+};
+
+export const cosineSimilarity = (a = [], b = []) => {
+    if (!a?.length || a.length !== b?.length) return 0;
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+export const normalizeText = (text, mimeType) => {
+    text = text.replace(/\r\n?/g, '\n');
+    if (mimeType === 'application/pdf') {
+        text = text
+            .replace(/\f/g, '\n\n') // page breaks
+            .replace(/(\w)-\n(\w)/g, '$1$2') // words hyphenated across lines
+            .replace(/([^\n])\n(?!\n)/g, '$1 '); // line breaks inside paragraphs
+    }
+    return text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+};
+
+// Splits text into paragraphs, then sentences, then fixed-size pieces, until every piece fits in a chunk.
+// Each piece keeps the separator that preceded it in the text.
+const splitText = (text, chunkSize) => {
+    return text.split(/\n{2,}/).flatMap((paragraph) => {
+        const sentences = paragraph.length <= chunkSize
+            ? [paragraph]
+            : paragraph.split(/(?<=[.!?])\s+/).flatMap((sentence) => {
+                if (sentence.length <= chunkSize) return [sentence];
+                return sentence.match(new RegExp(`[\\s\\S]{1,${chunkSize}}`, 'g'));
+            });
+        return sentences
+            .map((sentence) => sentence.trim())
+            .filter(Boolean)
+            .map((sentence, index) => ({ text: sentence, separator: index ? ' ' : '\n\n' }));
+    });
+};
+
+const joinPieces = (pieces) => pieces.map(({ text, separator }, index) => (index ? separator : '') + text).join('');
+
+// Packs pieces into chunks of up to `chunkSize` characters, repeating the last pieces of a chunk
+// at the start of the next one. Markdown chunks also break before each heading.
+export const chunkText = (text, { chunkSize = DEFAULT_CHUNK_SIZE, chunkOverlap = DEFAULT_CHUNK_OVERLAP, markdown } = {}) => {
+    const pieces = splitText(text, chunkSize);
+
+    const chunks = [];
+    let current = [];
+
+    for (const piece of pieces) {
+        const startsSection = markdown && /^#{1,6}\s/.test(piece.text);
+
+        if (current.length && (startsSection || joinPieces([...current, piece]).length > chunkSize)) {
+            chunks.push(joinPieces(current));
+
+            const overlap = [];
+            if (!startsSection) {
+                for (let i = current.length - 1; i >= 0; i--) {
+                    const candidate = [current[i], ...overlap];
+                    if (joinPieces(candidate).length > chunkOverlap || joinPieces([...candidate, piece]).length > chunkSize) break;
+                    overlap.unshift(current[i]);
+                }
+            }
+            current = overlap;
+        }
+
+        current.push(piece);
+    }
+
+    if (current.length) chunks.push(joinPieces(current));
+
+    return chunks;
+};
+
+export default rag;
@@ -1,4 +1,4 @@
-const request = async (url, { method, headers = {}, body, queryParams = {}, pathParams = {} } = {}) => {
+const request = async (url, { method, headers = {}, body, queryParams = {}, pathParams = {}, signal } = {}) => {
 
 
     // Substitute pathParams in URL
@@ -12,39 +12,41 @@ const request = async (url, { method, headers = {}, body, queryParams = {}, path
         url += `?${queryString}`;
     }
 
-    // Configure request options
+    // Configure request options: form bodies are sent as is, with the content type set by fetch
+    const isFormBody = body instanceof URLSearchParams || body instanceof FormData;
     const options = {
         method: method || 'GET',
         headers: {
-            'Content-Type': 'application/json',
+            ...(!isFormBody ? { 'Content-Type': 'application/json' } : {}),
             ...headers
         },
-        body: body ? JSON.stringify(body) : undefined
+        body: isFormBody ? body : body ? JSON.stringify(body) : undefined,
+        signal,
     };
 
     try {
         const response = await fetch(url, options);
 
         if (!response.ok) {
-            throw { status: response.status, statusText: response.statusText };
+            // the error body tells the agent what to fix in its args
+            throw { status: response.status, statusText: response.statusText, message: await response.text().catch(() => response.statusText) };
         }
 
         const resBody = await response.text();
         let res;
         try {
             res = JSON.parse(resBody);
-        } catch (_) { }
+        } catch (_) {
+            // plain text responses are returned as is
+            res = resBody || undefined;
+        }
 
         return res;
 
     } catch (error) {
-        console.error('Error processing request:', error, {
-            url,
-            method,
-            body,
-            queryParams,
-            pathParams,
-        });
+        // the url, params and body may hold credentials, so only where the request went is logged
+        const target = URL.canParse(url) ? `${new URL(url).host}${new URL(url).pathname}` : 'an invalid url';
+        console.error(`Error processing request: ${options.method} ${target} failed with ${error?.status || error?.name || 'an error'}`);
         throw error;
     }
 };
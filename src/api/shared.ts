@@ -1,5 +1,6 @@
 import * as agents from './agents/main.js';
 import * as ai from './ai/main.js';
+import * as native from './modules/main.js';
 import * as payments from './payments/main.js';
 
 export default (shared: any) => {
@@ -27,6 +28,7 @@ export default (shared: any) => {
     modules: {
       agents,
       ai,
+      native,
       payments
     }
   }
@@ -0,0 +1,30 @@
+// Copies a thread's messages into a new thread, up to `messageId` (inclusive) if given
+const POST = async ({ id, extId, messageId }) => {
+    id = Number(id);
+    messageId = Number(messageId);
+    const { models } = POST;
+    if (!id) throw { message: 'Missing required fields: id' };
+    const thread = await models.threads.findOne({ _id: id });
+    if (!thread) throw { message: 'Thread not found', status: 404 };
+
+    const messages = ((await models.messages.find({ thread: id }, { sort: { _id: 1 } })) || [])
+        .filter((message) => !messageId || message._id <= messageId);
+
+    const fork = await models.threads.create({
+        extId: extId || `${thread.extId}-fork-${Date.now()}`,
+        copilotz: thread.copilotz,
+        user: thread.user,
+        forkedFrom: id,
+    });
+
+    // Messages are copied one at a time to preserve their order
+    for (const { _id, thread: _thread, createdAt, updatedAt, ...message } of messages) {
+        await models.messages.create({ ...message, thread: fork._id });
+    }
+
+    return { ...fork, messages: messages.length }
+}
+
+export {
+    POST
+}
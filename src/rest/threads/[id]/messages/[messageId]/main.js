@@ -0,0 +1,25 @@
+const GET = async ({ id, messageId }) => {
+    id = Number(id);
+    messageId = Number(messageId);
+    const { models } = GET;
+    if (!id || !messageId) throw { message: 'Missing required fields: id, messageId' };
+    const message = await models.messages.findOne({ _id: messageId, thread: id });
+    if (!message) throw { message: 'Message not found', status: 404 };
+    return message;
+}
+const DELETE = async ({ id, messageId }) => {
+    id = Number(id);
+    messageId = Number(messageId);
+    const { models } = DELETE;
+    if (!id || !messageId) throw { message: 'Missing required fields: id, messageId' };
+    const message = await models.messages.findOne({ _id: messageId, thread: id });
+    if (!message) throw { message: 'Message not found', status: 404 };
+    await models.messages.delete({ _id: messageId });
+    return { _id: messageId, deleted: true }
+}
+
+
+export {
+    GET,
+    DELETE
+}
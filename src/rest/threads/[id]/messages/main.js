@@ -0,0 +1,30 @@
+const GET = async ({ id, includeSummarized }) => {
+    id = Number(id);
+    const { models } = GET;
+    if (!id) throw { message: 'Missing required fields: id' };
+    const thread = await models.threads.findOne({ _id: id });
+    if (!thread) throw { message: 'Thread not found', status: 404 };
+    return {
+        data: (await models.messages.find({
+            thread: id,
+            // messages condensed into the summary are only listed on request
+            ...(includeSummarized === 'true' ? {} : { summarized: null }),
+        }, { sort: { _id: 1 } })) || []
+    }
+}
+const DELETE = async ({ id }) => {
+    id = Number(id);
+    const { models } = DELETE;
+    if (!id) throw { message: 'Missing required fields: id' };
+    const thread = await models.threads.findOne({ _id: id });
+    if (!thread) throw { message: 'Thread not found', status: 404 };
+    const messages = await models.messages.find({ thread: id });
+    await Promise.all(messages.map((message) => models.messages.delete({ _id: message._id })));
+    return { thread: id, deleted: messages.length }
+}
+
+
+export {
+    GET,
+    DELETE
+}
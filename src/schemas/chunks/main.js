@@ -0,0 +1,8 @@
+export default {
+    "_id": "number",
+    "knowledgeBase": "number->knowledgeBases",
+    "document": "number->documents",
+    "index": "number",
+    "content": "string!",
+    "embedding": "any",
+}
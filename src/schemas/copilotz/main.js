@@ -6,5 +6,6 @@ export default {
     "job": "number->jobs",
     "actions": ["number->actions"],
     "configs": ["number->configs"],
-    "workflows": ["number->workflows"]
+    "workflows": ["number->workflows"],
+    "knowledgeBases": ["number->knowledgeBases"]
 }
\ No newline at end of file
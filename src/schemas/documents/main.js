@@ -0,0 +1,8 @@
+export default {
+    "_id": "number",
+    "knowledgeBase": "number->knowledgeBases",
+    "name": "string!",
+    "mimeType": "string", // text/plain, text/markdown, application/pdf (extracted text)
+    "metadata": "any",
+    "chunks": "number",
+}
@@ -0,0 +1,5 @@
+export default {
+    "_id": "number",
+    "name": "string!",
+    "description": "string",
+}
@@ -1,23 +1,33 @@
 import actions from './actions/main.js';
+import chunks from './chunks/main.js';
 import configs from './configs/main.js';
 import copilotz from './copilotz/main.js';
+import documents from './documents/main.js';
 import jobs from './jobs/main.js';
+import knowledgeBases from './knowledgeBases/main.js';
 import logs from './logs/main.js';
+import messages from './messages/main.js';
 import steps from './steps/main.js';
 import subscriptions from './subscriptions/main.js';
 import tasks from './tasks/main.js';
+import threads from './threads/main.js';
 import users from './users/main.js';
 import workflows from './workflows/main.js';
 
 export default {
     actions,
+    chunks,
     configs,
     copilotz,
+    documents,
     jobs,
+    knowledgeBases,
     logs,
+    messages,
     steps,
     subscriptions,
     tasks,
+    threads,
     users,
     workflows,
 }
@@ -31,4 +41,9 @@ alter table copilotz add column workflows text
 alter table jobs add column workflows text
 `);
 
+// 2. add knowledge bases to copilotz
+migrations.push(`
+alter table copilotz add column knowledgeBases text
+`);
+
 export { migrations };
\ No newline at end of file
@@ -0,0 +1,12 @@
+export default {
+    "_id": "number",
+    "thread": "number->threads",
+    "role": "string!", // system (summary), user, assistant, tool
+    "content": "any",
+    "name": "string",
+    "toolCalls": "any",
+    "toolCallId": "string",
+    "agentType": "string",
+    "requestId": "string",
+    "summarized": "boolean", // condensed into the thread summary
+}
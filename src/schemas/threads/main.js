@@ -0,0 +1,7 @@
+export default {
+    "_id": "number",
+    "extId": "string!",
+    "copilotz": "number->copilotz",
+    "user": "number->users",
+    "forkedFrom": "number->threads",
+}
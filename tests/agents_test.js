@@ -0,0 +1,359 @@
+import { assertEquals } from '@std/assert';
+import { createShared, dbTest, getRejection, mockProvider, runAgent, seed, withFetch } from './setup.js';
+import { recordFixtures } from '../src/api/ai/chat/mock/main.js';
+
+const weatherSpec = `
+openapi: 3.0.0
+info:
+  title: Weather
+  version: 1.0.0
+servers:
+  - url: https://api.example.com
+paths:
+  /weather:
+    post:
+      operationId: getWeather
+      summary: Gets the weather of a city
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              properties:
+                city:
+                  type: string
+      responses:
+        '200':
+          description: The weather
+`;
+
+// Seeds a copilotz and a thread, and returns what an agent run needs
+const setup = async (config, { copilotz } = {}) => {
+    const shared = createShared();
+    const seeded = await seed(shared.models, { copilotz });
+    const resources = { copilotz: { actions: [], ...seeded.copilotz }, config, thread: seeded.thread };
+    return { shared, resources, models: shared.models, thread: seeded.thread };
+};
+
+const getMessages = (models, thread) => models.messages.find({ thread: thread._id }, { sort: { _id: 1 } });
+
+Deno.test({
+    name: 'chat agent answers and saves the turn',
+    ...dbTest,
+    fn: async () => {
+        const config = { AI_CHAT_PROVIDER: mockProvider(['Hello Ana', 'Your name is Ana']) };
+        const { shared, resources, models, thread } = await setup(config);
+        const agent = shared.modules.agents.chat;
+
+        const { response } = await runAgent(agent, { input: 'I am Ana', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(response.message, 'Hello Ana');
+        assertEquals(response.provider, { name: 'mock', model: 'mock' });
+        assertEquals(
+            (await getMessages(models, thread)).map(({ role, content }) => [role, content]),
+            [['user', 'I am Ana'], ['assistant', 'Hello Ana']]
+        );
+
+        // the next turn is answered with the thread history
+        const { response: next } = await runAgent(agent, { input: 'What is my name?', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(next.message, 'Your name is Ana');
+        assertEquals(next.prompt.slice(-3).map(({ content }) => content), ['I am Ana', 'Hello Ana', 'What is my name?']);
+        assertEquals((await getMessages(models, thread)).length, 4);
+    },
+});
+
+Deno.test({
+    name: 'chat agent streams tokens',
+    ...dbTest,
+    fn: async () => {
+        const config = { AI_CHAT_PROVIDER: mockProvider(['Hello there Ana']), streamResponseBy: 'token' };
+        const { shared, resources } = await setup(config);
+        const { chunks } = await runAgent(shared.modules.agents.chat, { input: 'hi', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(chunks, ['Hello ', 'there ', 'Ana']);
+    },
+});
+
+Deno.test({
+    name: 'chat agent fails over to the next provider after retries',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            AI_CHAT_RETRY: { maxRetries: 1, baseDelay: 1 },
+            AI_CHAT_PROVIDER: [
+                mockProvider([{ error: { status: 503 } }, { error: { status: 503 } }], { model: 'a' }),
+                mockProvider(['from b'], { model: 'b' }),
+            ],
+        };
+        const { shared, resources } = await setup(config);
+        const { response } = await runAgent(shared.modules.agents.chat, { input: 'hi', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(response.message, 'from b');
+        assertEquals(response.provider, { name: 'mock', model: 'b' });
+    },
+});
+
+Deno.test({
+    name: 'chat agent does not fail over on client errors',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            AI_CHAT_RETRY: { maxRetries: 1, baseDelay: 1 },
+            AI_CHAT_PROVIDER: [
+                mockProvider([{ error: { status: 400, message: 'bad request' } }], { model: 'a' }),
+                mockProvider(['from b'], { model: 'b' }),
+            ],
+        };
+        const { shared, resources } = await setup(config);
+        const error = await getRejection(() => runAgent(shared.modules.agents.chat, { input: 'hi', thread: { extId: 'thread-1' } }, { shared, resources }));
+        assertEquals(error.status, 400);
+    },
+});
+
+Deno.test({
+    name: 'chat agent continues threads whose history is only in the logs',
+    ...dbTest,
+    fn: async () => {
+        const config = { AI_CHAT_PROVIDER: mockProvider(['Your name is Ana']) };
+        const { shared, resources, models, thread } = await setup(config);
+        await models.logs.create({
+            name: 'chatAgent',
+            input: [{ thread: { extId: 'thread-1' } }],
+            status: 'completed',
+            output: { prompt: [{ role: 'system', content: 'old prompt' }, { role: 'user', content: 'I am Ana' }], message: 'Hello Ana' },
+        });
+
+        const { response } = await runAgent(shared.modules.agents.chat, { input: 'What is my name?', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(response.prompt.slice(-3).map(({ content }) => content), ['I am Ana', 'Hello Ana', 'What is my name?']);
+
+        // the history is moved to the thread's messages
+        assertEquals(
+            (await getMessages(models, thread)).map(({ role, content }) => [role, content]),
+            [['user', 'I am Ana'], ['assistant', 'Hello Ana'], ['user', 'What is my name?'], ['assistant', 'Your name is Ana']]
+        );
+    },
+});
+
+Deno.test({
+    name: 'function call agent runs actions with their credentials and answers with their results',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            AI_CHAT_PROVIDER: mockProvider([
+                '{"message":"Checking","hasFollowUp":false,"functions":[{"name":"getWeather","args":{"city":"Paris"}}]}',
+                '{"message":"It is 20 degrees in Paris","hasFollowUp":true,"functions":[]}',
+            ]),
+        };
+        const { shared, resources, models, thread } = await setup(config);
+        const action = await models.actions.create({ specType: 'openapi3-yaml', moduleUrl: 'native:request', spec: weatherSpec });
+        await models.configs.create({
+            name: 'AUTH',
+            value: { weatherKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', value: 'secret' } },
+            owner: action._id,
+            ownerType: 'action',
+            isSecret: true,
+        });
+        resources.copilotz.actions = [action];
+
+        await withFetch(() => Response.json({ temp: 20 }), async (requests) => {
+            const { response } = await runAgent(shared.modules.agents.functionCall, {
+                input: 'How is the weather in Paris?',
+                thread: { extId: 'thread-1' },
+            }, { shared, resources });
+
+            assertEquals(response.message, 'It is 20 degrees in Paris');
+            assertEquals(requests.length, 1);
+            assertEquals(requests[0].url, 'https://api.example.com/weather');
+            assertEquals(JSON.parse(requests[0].body).city, 'Paris');
+            assertEquals(requests[0].headers['X-API-Key'], 'secret');
+        });
+
+        // user input, the function results and the final answer
+        const messages = await getMessages(models, thread);
+        assertEquals(messages.map(({ role }) => role), ['user', 'assistant', 'assistant']);
+        assertEquals(JSON.parse(messages[1].content).functions[0].results, { temp: 20 });
+    },
+});
+
+Deno.test({
+    name: 'function call agent accepts answers with only tool calls in native mode',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            functionCallMode: 'native',
+            AI_CHAT_PROVIDER: mockProvider([
+                { toolCalls: [{ name: 'getWeather', args: { city: 'Paris' } }] },
+                'It is 20 degrees in Paris',
+            ]),
+        };
+        const { shared, resources, models, thread } = await setup(config);
+        resources.copilotz.actions = [await models.actions.create({ specType: 'openapi3-yaml', moduleUrl: 'native:request', spec: weatherSpec })];
+
+        await withFetch(() => Response.json({ temp: 20 }), async (requests) => {
+            const { response } = await runAgent(shared.modules.agents.functionCall, {
+                input: 'How is the weather in Paris?',
+                thread: { extId: 'thread-1' },
+            }, { shared, resources });
+
+            assertEquals(response.message, 'It is 20 degrees in Paris');
+            assertEquals(requests.length, 1);
+        });
+        assertEquals((await getMessages(models, thread)).length, 4);
+    },
+});
+
+Deno.test({
+    name: 'function call agent keeps offering the callback tool after tool calls in native mode',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            functionCallMode: 'native',
+            AI_CHAT_PROVIDER: mockProvider([
+                { toolCalls: [{ name: 'getWeather', args: { city: 'Paris' } }] },
+                { answer: 'It is 20 degrees in Paris', toolCalls: [{ name: 'callback', args: { mood: 'sunny' } }] },
+            ]),
+        };
+        const { shared, resources, models } = await setup(config);
+        resources.copilotz.actions = [await models.actions.create({ specType: 'openapi3-yaml', moduleUrl: 'native:request', spec: weatherSpec })];
+        // the mock provider records the tools of each call
+        const recorder = recordFixtures(shared.modules.ai.chat.mock);
+        shared.modules = { ...shared.modules, ai: { ...shared.modules.ai, chat: { ...shared.modules.ai.chat, mock: recorder } } };
+
+        await withFetch(() => Response.json({ temp: 20 }), async () => {
+            const { response } = await runAgent(shared.modules.agents.functionCall, {
+                input: 'How is the weather in Paris?',
+                thread: { extId: 'thread-1' },
+                outputSchema: { type: 'object', properties: { mood: { type: 'string' } } },
+            }, { shared, resources });
+            assertEquals(response.mood, 'sunny');
+        });
+        assertEquals(recorder.fixtures.map(({ request }) => request.tools.includes('callback')), [true, true]);
+    },
+});
+
+Deno.test({
+    name: 'function call agent corrects invalid answers with a new turn',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            AI_CHAT_PROVIDER: mockProvider([
+                '{"message":"Hi","functions":[]}',
+                '{"message":"Hi","hasFollowUp":true,"functions":[]}',
+            ]),
+        };
+        const { shared, resources, models, thread } = await setup(config);
+        const { response } = await runAgent(shared.modules.agents.functionCall, { input: 'hi', thread: { extId: 'thread-1' } }, { shared, resources });
+
+        assertEquals(response.message, 'Hi');
+        assertEquals(response.consumption.attempts, 2);
+        assertEquals(response.prompt[response.prompt.length - 1].content.includes('could not be processed'), true);
+        // the invalid answer and its correction are not saved to the thread
+        const messages = await getMessages(models, thread);
+        assertEquals(messages.map(({ role }) => role), ['user', 'assistant']);
+        assertEquals(JSON.parse(messages[1].content).message, 'Hi');
+    },
+});
+
+Deno.test({
+    name: 'function call agent fails with INVALID_JSON after the last attempt',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            STRUCTURED_OUTPUT: { maxAttempts: 2 },
+            AI_CHAT_PROVIDER: mockProvider(['not json', '{"message":"Hi"}']),
+        };
+        const { shared, resources } = await setup(config);
+        const error = await getRejection(() => runAgent(shared.modules.agents.functionCall, { input: 'hi', thread: { extId: 'thread-1' } }, { shared, resources }));
+        assertEquals(error.error.code, 'INVALID_JSON');
+        assertEquals(error.consumption.attempts, 2);
+    },
+});
+
+Deno.test({
+    name: 'function call agent times out slow actions',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            TIMEOUTS: { action: 20 },
+            AI_CHAT_PROVIDER: mockProvider(['{"message":"Working on it","hasFollowUp":false,"functions":[{"name":"slow","args":{}}]}']),
+        };
+        const { shared, resources } = await setup(config);
+        const slow = () => new Promise(() => { });
+        slow.spec = '(never returns): ->(nothing)';
+
+        const { response } = await runAgent(shared.modules.agents.functionCall, {
+            input: 'hi',
+            thread: { extId: 'thread-1' },
+            actionModules: { slow },
+        }, { shared, resources });
+        assertEquals(response.functions[0].status, 'timeout');
+        assertEquals(response.functions[0].results.error.code, 'TIMEOUT');
+    },
+});
+
+Deno.test({
+    name: 'actions that fail to load or reuse a function name are left out',
+    ...dbTest,
+    fn: async () => {
+        const { shared } = await setup({});
+        const originalError = console.error;
+        const logs = [];
+        console.error = (...args) => logs.push(args.join(' '));
+        let actions;
+        try {
+            actions = await shared.utils.loadActions([
+                { specType: 'openapi3-yaml', moduleUrl: 'native:request', spec: weatherSpec },
+                { specType: 'openapi3-yaml', moduleUrl: 'ftp://example.com/module.js', spec: weatherSpec },
+                { specType: 'openapi3-yaml', moduleUrl: 'native:request', spec: weatherSpec.replace('api.example.com', 'other.example.com') },
+            ], shared);
+        } finally {
+            console.error = originalError;
+        }
+
+        assertEquals(Object.keys(actions), ['getWeather']);
+        await withFetch(() => Response.json({ temp: 20 }), async (requests) => {
+            await actions.getWeather({ city: 'Paris' });
+            assertEquals(new URL(requests[0].url).host, 'api.example.com');
+        });
+        assertEquals(logs.length, 2);
+        assertEquals(logs[0].includes('Invalid Module URL'), true);
+        assertEquals(logs[1].includes('getWeather'), true);
+    },
+});
+
+Deno.test({
+    name: 'task manager creates a task and completes its steps',
+    ...dbTest,
+    fn: async () => {
+        const config = {
+            AI_CHAT_PROVIDER: mockProvider([
+                '{"message":"Starting","hasFollowUp":false,"functions":[{"name":"createTask","args":{"workflowName":"Onboarding"}}]}',
+                '{"message":"What is your name?","hasFollowUp":true,"functions":[]}',
+                '{"message":"Thanks","hasFollowUp":false,"functions":[{"name":"submit","args":{"name":"John"}}]}',
+                '{"message":"All done","hasFollowUp":true,"functions":[]}',
+            ]),
+        };
+        const { shared, resources, models } = await setup(config);
+        const step = await models.steps.create({ name: 'name', description: 'Asks the name', instructions: 'Ask the user name' });
+        const workflow = await models.workflows.create({
+            name: 'Onboarding',
+            description: 'Onboards new users',
+            steps: [step._id],
+            firstStep: step._id,
+        });
+        resources.copilotz.workflows = [workflow];
+        const agent = shared.modules.agents.taskManager;
+
+        // 1. the task is created, and the agent starts its first step in the same turn
+        const { response } = await runAgent(agent, { input: 'I am new here', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(response.message, 'What is your name?');
+        assertEquals(response.consumption.value, 2);
+        const [task] = await models.tasks.find({ extId: 'thread-1' });
+        assertEquals(task.status, 'active');
+        assertEquals(task.currentStep, step._id);
+
+        // 2. submitting the last step completes the task
+        const { response: next } = await runAgent(agent, { input: 'John', thread: { extId: 'thread-1' } }, { shared, resources });
+        assertEquals(next.message, 'All done');
+        const completedTask = await models.tasks.findOne({ _id: task._id });
+        assertEquals(completedTask.status, 'completed');
+    },
+});
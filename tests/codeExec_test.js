@@ -0,0 +1,54 @@
+import { assertEquals } from '@std/assert';
+import codeExec from '../src/api/modules/code-exec/main.js';
+
+const run = (params, config = { CODE_EXEC: { timeout: 20000 } }) => {
+    Object.assign(codeExec, { resources: { config } });
+    return codeExec(params);
+};
+
+Deno.test('code-exec returns the result and output of the code', async () => {
+    const response = await run({ code: 'console.log("sum", input.a + input.b); return { sum: input.a + input.b };', input: { a: 1, b: 2 } });
+    assertEquals(response.status, 'ok');
+    assertEquals(response.result, { sum: 3 });
+    assertEquals(response.stdout, 'sum 3');
+});
+
+Deno.test('code-exec ignores output written after the result, without waiting for pending timers', async () => {
+    const response = await run({ code: 'setTimeout(() => Deno.stdout.writeSync(new TextEncoder().encode("late")), 10000); return 42;' });
+    assertEquals(response.status, 'ok');
+    assertEquals(response.result, 42);
+    assertEquals(response.duration < 10000, true);
+});
+
+Deno.test('code-exec kills code that floods its output', async () => {
+    const response = await run({ code: 'const chunk = new Uint8Array(65536).fill(65); while (true) Deno.stdout.writeSync(chunk);' });
+    assertEquals(response.status, 'failed');
+    assertEquals(response.error.code, 'OUTPUT_LIMIT');
+    assertEquals(response.stdout.endsWith('characters truncated)'), true);
+});
+
+Deno.test('code-exec denies network, filesystem and environment access', async () => {
+    const network = await run({ code: 'return await fetch("https://example.com");' });
+    assertEquals([network.status, network.error.code, network.error.name], ['failed', 'RUNTIME_ERROR', 'NotCapable']);
+
+    const write = await run({ code: 'Deno.writeTextFileSync("/tmp/code-exec-test.txt", "x");' });
+    assertEquals([write.status, write.error.name], ['failed', 'NotCapable']);
+
+    const env = await run({ code: 'return Deno.env.get("HOME");' });
+    assertEquals([env.status, env.error.name], ['failed', 'NotCapable']);
+});
+
+Deno.test('code-exec stops code that runs past the timeout', async () => {
+    const response = await run({ code: 'while (true) {}' }, { CODE_EXEC: { timeout: 1000 } });
+    assertEquals([response.status, response.error.code], ['failed', 'TIMEOUT']);
+});
+
+Deno.test('code-exec enforces the memory limit on the heap and on array buffers', async () => {
+    const config = { CODE_EXEC: { timeout: 20000, memoryLimit: 32 } };
+
+    const heap = await run({ code: 'const items = []; while (true) items.push({ value: Math.random() });' }, config);
+    assertEquals([heap.status, heap.error.code], ['failed', 'MEMORY_LIMIT']);
+
+    const buffers = await run({ code: 'const buffers = []; for (let i = 0; i < 64; i++) buffers.push(new Uint8Array(16 * 1024 * 1024).fill(1)); return buffers.length;' }, config);
+    assertEquals([buffers.status, buffers.error.code], ['failed', 'MEMORY_LIMIT']);
+});
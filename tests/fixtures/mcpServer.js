@@ -0,0 +1,92 @@
+// Minimal MCP server for the tests. Run as a script, it serves over stdio; `serveHttp` serves it over
+// streamable HTTP instead.
+
+const tools = [
+    {
+        name: 'add',
+        description: 'Adds two numbers',
+        inputSchema: {
+            type: 'object',
+            properties: { a: { type: 'number', description: 'First number' }, b: { type: 'number' } },
+            required: ['a', 'b'],
+        },
+    },
+    {
+        name: 'get-env',
+        description: 'Reads an environment variable of the server',
+        inputSchema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] },
+    },
+    {
+        name: 'fail',
+        description: 'Always fails',
+        inputSchema: { type: 'object', properties: {} },
+    },
+];
+
+const callTool = ({ name, arguments: args = {} }, { headers } = {}) => {
+    if (name === 'add') {
+        return { content: [{ type: 'text', text: `${args.a + args.b}` }], structuredContent: { sum: args.a + args.b } };
+    }
+    if (name === 'get-env') {
+        const value = headers ? headers.get(args.name) : Deno.env.get(args.name);
+        return { content: [{ type: 'text', text: value ?? '' }] };
+    }
+    if (name === 'fail') {
+        return { content: [{ type: 'text', text: 'Something went wrong' }], isError: true };
+    }
+    throw { code: -32602, message: `Unknown tool: ${name}` };
+};
+
+// Answers a JSON-RPC message, or returns nothing for notifications
+export const handleMessage = (message, context) => {
+    if (message.id === undefined) return;
+    try {
+        const result = message.method === 'initialize'
+            ? { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'test-server', version: '1.0.0' } }
+            : message.method === 'tools/list'
+                // tools are listed in pages of two
+                ? { tools: tools.slice(Number(message.params?.cursor || 0), Number(message.params?.cursor || 0) + 2), ...(!message.params?.cursor ? { nextCursor: '2' } : {}) }
+                : message.method === 'tools/call'
+                    ? callTool(message.params, context)
+                    : null;
+        if (!result) return { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: 'Method not found' } };
+        return { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+        return { jsonrpc: '2.0', id: message.id, error: { code: err.code ?? -32603, message: err.message } };
+    }
+};
+
+// Streamable HTTP, answering with event streams, and requiring the session id after the initialization
+export const serveHttp = () => {
+    const sessionId = crypto.randomUUID();
+    const requests = [];
+    const server = Deno.serve({ port: 0, hostname: '127.0.0.1', onListen: () => { } }, async (req) => {
+        if (req.method === 'DELETE') return new Response(null, { status: 204 });
+        const message = await req.json();
+        requests.push({ message, headers: req.headers });
+        if (message.method !== 'initialize' && req.headers.get('mcp-session-id') !== sessionId) {
+            return new Response('Missing session', { status: 400 });
+        }
+        const response = handleMessage(message, { headers: req.headers });
+        if (!response) return new Response(null, { status: 202 });
+        // the answer follows an event that is not valid JSON, which clients skip
+        return new Response(`data: ping\n\nevent: message\ndata: ${JSON.stringify(response)}\n\n`, {
+            headers: { 'content-type': 'text/event-stream', 'mcp-session-id': sessionId },
+        });
+    });
+    return { url: `http://127.0.0.1:${server.addr.port}/mcp`, requests, close: () => server.shutdown() };
+};
+
+if (import.meta.main) {
+    const encoder = new TextEncoder();
+    let buffer = '';
+    for await (const chunk of Deno.stdin.readable.pipeThrough(new TextDecoderStream())) {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines.filter(Boolean)) {
+            const response = handleMessage(JSON.parse(line));
+            if (response) await Deno.stdout.write(encoder.encode(`${JSON.stringify(response)}\n`));
+        }
+    }
+}
@@ -0,0 +1,163 @@
+import { assertEquals } from '@std/assert';
+import middleware from '../src/api/middleware.ts';
+import mcpServer from '../src/api/mcp/[copilotzId]/main.js';
+import mcpParser from '../src/api/_specParser/mcp/main.js';
+import mcp, { closeConnections } from '../src/api/modules/mcp/main.js';
+import { createShared, dbTest, getRejection, mockProvider } from './setup.js';
+import { serveHttp } from './fixtures/mcpServer.js';
+
+// Response object of the route, recording the status and body it sends
+const createResponse = () => ({
+    stream: () => { },
+    status(status) {
+        this.statusCode = status;
+        return this;
+    },
+    send(body) {
+        this.sent = true;
+        this.body = body;
+    },
+});
+
+// Posts a JSON-RPC message to the MCP route of a copilotz, through the api middlewares
+const post = async (shared, copilotzId, message, res = createResponse()) => {
+    const params = { copilotzId: `${copilotzId}`, ...message };
+    Object.assign(middleware, shared, { resources: {} });
+    await middleware({ params });
+    Object.assign(mcpServer, shared, {
+        resources: middleware.resources,
+        __requestId__: crypto.randomUUID(),
+        __executionId__: crypto.randomUUID(),
+        __tags__: {},
+    });
+    return mcpServer(params, res);
+};
+
+// A copilotz with the `add` and `fail` tools of the test MCP server as actions
+const setup = async () => {
+    const shared = createShared();
+    const { models } = shared;
+    const server = serveHttp();
+    const action = await models.actions.create({
+        specType: 'mcp',
+        moduleUrl: 'native:mcp',
+        spec: JSON.stringify({ url: server.url, tools: ['add', 'fail'] }),
+    });
+    const copilotz = await models.copilotz.create({
+        name: 'Calculator',
+        description: 'Does the math',
+        backstory: 'A helpful assistant',
+        actions: [action._id],
+    });
+    return { shared, models, server, copilotz };
+};
+
+Deno.test({
+    name: 'mcp server initializes and answers pings and notifications',
+    ...dbTest,
+    fn: async () => {
+        const { shared, server, copilotz } = await setup();
+        try {
+            const initialized = await post(shared, copilotz._id, {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'initialize',
+                params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+            });
+            assertEquals(initialized.result.protocolVersion, '2025-03-26');
+            assertEquals(initialized.result.serverInfo.name, 'Calculator');
+            assertEquals(initialized.result.instructions, 'Does the math');
+
+            const unsupported = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+            assertEquals(unsupported.result.protocolVersion, '2025-06-18');
+
+            const notified = createResponse();
+            assertEquals(await post(shared, copilotz._id, { jsonrpc: '2.0', method: 'notifications/initialized' }, notified), undefined);
+            assertEquals([notified.statusCode, notified.sent, notified.body], [202, true, undefined]);
+            assertEquals(await post(shared, copilotz._id, { jsonrpc: '2.0', id: 3, method: 'ping' }), { jsonrpc: '2.0', id: 3, result: {} });
+            assertEquals((await post(shared, copilotz._id, { jsonrpc: '2.0', id: 4, method: 'resources/list' })).error.code, -32601);
+            assertEquals((await getRejection(() => post(shared, copilotz._id, {}))).status, 405);
+            assertEquals((await getRejection(() => post(shared, 999, { jsonrpc: '2.0', id: 5, method: 'ping' }))).status, 404);
+            // the copilotz of the url can't be replaced by the one of the body's config
+            const otherCopilotz = await shared.models.copilotz.create({ name: 'Other' });
+            const mismatch = { jsonrpc: '2.0', id: 6, method: 'ping', config: { copilotzId: otherCopilotz._id } };
+            assertEquals((await getRejection(() => post(shared, copilotz._id, mismatch))).status, 400);
+        } finally {
+            await closeConnections();
+            await server.close();
+        }
+    },
+});
+
+Deno.test({
+    name: 'mcp server lists and calls the copilotz actions as tools',
+    ...dbTest,
+    fn: async () => {
+        const { shared, server, copilotz } = await setup();
+        try {
+            const { result } = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+            assertEquals(result.tools.map(({ name }) => name), ['chat', 'add', 'fail']);
+            assertEquals(result.tools[1].inputSchema.required, ['a', 'b']);
+
+            const added = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'add', arguments: { a: 1, b: 2 } } });
+            assertEquals(added.result.structuredContent, { sum: 3 });
+            assertEquals(added.result.content, [{ type: 'text', text: '{"sum":3}' }]);
+
+            const failed = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'fail' } });
+            assertEquals(failed.result, { content: [{ type: 'text', text: 'Something went wrong' }], isError: true });
+
+            const unknown = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'get-env' } });
+            assertEquals(unknown.error.code, -32602);
+        } finally {
+            await closeConnections();
+            await server.close();
+        }
+    },
+});
+
+Deno.test({
+    name: 'mcp server chats with the copilotz, continuing its threads',
+    ...dbTest,
+    fn: async () => {
+        const { shared, models, server, copilotz } = await setup();
+        const answer = (message) => JSON.stringify({ message, functions: [], hasFollowUp: true });
+        await models.configs.create({
+            name: 'AI_CHAT_PROVIDER',
+            // the config is loaded for each request, so each request replays the answer again
+            value: mockProvider([answer('Hello!')]),
+            owner: copilotz._id,
+            ownerType: 'copilotz',
+        });
+
+        // the copilotz is also usable by other copilotz, as an mcp action
+        const httpServer = Deno.serve({ port: 0, hostname: '127.0.0.1', onListen: () => { } }, async (req) => {
+            const res = createResponse();
+            const response = await post(shared, copilotz._id, await req.json(), res);
+            return res.sent ? new Response(res.body ?? null, { status: res.statusCode }) : Response.json(response);
+        });
+        try {
+            const first = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'chat', arguments: { message: 'Hi' } } });
+            assertEquals(first.result.content, [{ type: 'text', text: 'Hello!' }]);
+            const { threadId } = first.result.structuredContent;
+
+            Object.assign(mcp, { env: {} });
+            const actions = await mcpParser({ spec: { url: `http://127.0.0.1:${httpServer.addr.port}/api/mcp/${copilotz._id}`, tools: ['chat'] }, module: mcp });
+            assertEquals(await actions.chat({ message: 'Are you there?', threadId }), { message: 'Hello!', threadId });
+
+            const [thread] = await models.threads.find({ extId: threadId });
+            const messages = await models.messages.find({ thread: thread._id }, { sort: { _id: 1 } });
+            assertEquals(messages.map(({ role }) => role), ['user', 'assistant', 'user', 'assistant']);
+            assertEquals('user' in thread, false);
+
+            // threads of users can't be continued by others
+            const user = await models.users.create({ name: 'Ana' });
+            await models.threads.create({ extId: 'private', copilotz: copilotz._id, user: user._id });
+            const rejected = await post(shared, copilotz._id, { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'chat', arguments: { message: 'Hi', threadId: 'private' } } });
+            assertEquals(rejected.error, { code: -32602, message: 'Thread not found: private' });
+        } finally {
+            await closeConnections();
+            await httpServer.shutdown();
+            await server.close();
+        }
+    },
+});
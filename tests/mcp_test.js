@@ -0,0 +1,79 @@
+import { assertEquals } from '@std/assert';
+import mcpParser from '../src/api/_specParser/mcp/main.js';
+import mcp, { closeConnections } from '../src/api/modules/mcp/main.js';
+import { getRejection } from './setup.js';
+import { serveHttp } from './fixtures/mcpServer.js';
+
+const stdioServer = {
+    command: Deno.execPath(),
+    args: ['run', '--no-config', '--no-lock', '--allow-env=API_TOKEN,MCP_TEST_SECRET', new URL('./fixtures/mcpServer.js', import.meta.url).pathname],
+};
+
+Deno.test('mcp parser exposes the tools of a stdio server as actions', async () => {
+    Object.assign(mcp, { env: { MCP_STDIO_COMMANDS: Deno.execPath() } });
+    try {
+        const actions = await mcpParser({ spec: JSON.stringify(stdioServer), module: mcp, auth: { env: { API_TOKEN: 'secret' } } });
+        assertEquals(Object.keys(actions), ['add', 'get-env', 'fail']);
+        assertEquals(actions.add.spec, ' (Adds two numbers): !a<number> (First number), !b<number>');
+
+        assertEquals(await actions.add({ a: 1, b: 2, _user: {} }), { sum: 3 });
+        assertEquals(await actions['get-env']({ name: 'API_TOKEN' }), 'secret');
+        assertEquals((await getRejection(() => actions.fail({}))).message, 'Something went wrong');
+    } finally {
+        await closeConnections();
+    }
+});
+
+Deno.test('mcp module passes only the server variables and PATH to stdio servers', async () => {
+    Object.assign(mcp, { env: { MCP_STDIO_COMMANDS: '*' } });
+    Deno.env.set('MCP_TEST_SECRET', 'leaked');
+    try {
+        const actions = await mcpParser({ spec: { ...stdioServer, tools: ['get-env'] }, module: mcp, auth: { env: { API_TOKEN: 'secret' } } });
+        assertEquals(await actions['get-env']({ name: 'MCP_TEST_SECRET' }), '');
+        assertEquals(await actions['get-env']({ name: 'API_TOKEN' }), 'secret');
+    } finally {
+        Deno.env.delete('MCP_TEST_SECRET');
+        await closeConnections();
+    }
+});
+
+Deno.test('mcp parser exposes only the listed tools', async () => {
+    Object.assign(mcp, { env: { MCP_STDIO_COMMANDS: '*' } });
+    try {
+        const actions = await mcpParser({ spec: { ...stdioServer, tools: ['add'] }, module: mcp });
+        assertEquals(Object.keys(actions), ['add']);
+    } finally {
+        await closeConnections();
+    }
+});
+
+Deno.test('mcp module only starts allowed commands', async () => {
+    Object.assign(mcp, { env: {} });
+    const error = await getRejection(() => mcp(stdioServer, { method: 'tools/list' }));
+    assertEquals(error.status, 403);
+
+    // entries with args only allow the command with these first args
+    Object.assign(mcp, { env: { MCP_STDIO_COMMANDS: `${Deno.execPath()} run --allow-net` } });
+    assertEquals((await getRejection(() => mcp(stdioServer, { method: 'tools/list' }))).status, 403);
+});
+
+Deno.test('mcp parser calls tools of streamable http servers with the session and credentials', async () => {
+    const server = serveHttp();
+    Object.assign(mcp, { env: {} });
+    try {
+        const actions = await mcpParser({
+            spec: `url: ${server.url}`,
+            module: mcp,
+            auth: { headers: { 'X-Api-Key': 'secret' } },
+        });
+        assertEquals(await actions.add({ a: 2, b: 3 }), { sum: 5 });
+        assertEquals(await actions['get-env']({ name: 'X-Api-Key' }), 'secret');
+
+        const methods = server.requests.map(({ message }) => message.method);
+        assertEquals(methods, ['initialize', 'notifications/initialized', 'tools/list', 'tools/list', 'tools/call', 'tools/call']);
+        assertEquals(server.requests[2].headers.get('mcp-protocol-version'), '2025-03-26');
+    } finally {
+        await closeConnections();
+        await server.close();
+    }
+});
@@ -0,0 +1,110 @@
+import { assertEquals } from '@std/assert';
+import middleware from '../src/api/middleware.ts';
+import { createShared, dbTest, getRejection } from './setup.js';
+
+const runMiddlewares = async (shared, params) => {
+    // resources are kept on the middleware between runs
+    Object.assign(middleware, shared, { resources: {} });
+    await middleware({ params });
+    return middleware.resources;
+};
+
+Deno.test({
+    name: 'middlewares load the user, copilotz, config and thread of a request',
+    ...dbTest,
+    fn: async () => {
+        const shared = createShared();
+        const { models } = shared;
+        const copilotz = await models.copilotz.create({
+            name: 'Copilotz',
+            description: 'Test copilot',
+            backstory: 'A helpful assistant',
+        });
+
+        await models.configs.create({ name: 'LANGUAGE', value: 'pt-BR', owner: copilotz._id, ownerType: 'copilotz' });
+        // owned by an action with the same id
+        await models.configs.create({ name: 'AUTH', value: { apiKey: 'secret' }, owner: copilotz._id, ownerType: 'action', isSecret: true });
+
+        const params = {
+            user: { name: 'Ana', email: 'ana@example.com' },
+            config: { copilotzId: copilotz._id, streamResponseBy: 'token', TIMEOUTS: { turn: 60000 } },
+            thread: { extId: 'thread-1' },
+        };
+
+        const resources = await runMiddlewares(shared, params);
+        assertEquals(resources.user.email, 'ana@example.com');
+        assertEquals(resources.copilotz._id, copilotz._id);
+        assertEquals(resources.copilotz.actions, []);
+        assertEquals(resources.config.streamResponseBy, 'token');
+        assertEquals(resources.config.copilotzId, undefined);
+        assertEquals(resources.config.LANGUAGE, 'pt-BR');
+        assertEquals(resources.config.AUTH, undefined);
+        assertEquals(resources.thread.extId, 'thread-1');
+        assertEquals(resources.thread.copilotz, copilotz._id);
+        assertEquals(resources.signal.aborted, false);
+
+        // the next request of the same user and thread finds them
+        const nextResources = await runMiddlewares(shared, params);
+        assertEquals(nextResources.user._id, resources.user._id);
+        assertEquals(nextResources.thread._id, resources.thread._id);
+        assertEquals((await models.users.find({})).length, 1);
+        assertEquals((await models.threads.find({})).length, 1);
+    },
+});
+
+Deno.test({
+    name: 'middlewares abort the request signal with the request, or give a signal without it',
+    ...dbTest,
+    fn: async () => {
+        const shared = createShared();
+        const copilotz = await shared.models.copilotz.create({ name: 'Copilotz' });
+        const params = { config: { copilotzId: copilotz._id } };
+
+        const controller = new AbortController();
+        Object.assign(middleware, shared, { resources: {} });
+        await middleware({ params, signal: controller.signal });
+        const { signal } = middleware.resources;
+        assertEquals(signal.aborted, false);
+        controller.abort();
+        assertEquals(signal.aborted, true);
+
+        // without the request's signal, agents still get one
+        const resources = await runMiddlewares(shared, params);
+        assertEquals(resources.signal instanceof AbortSignal, true);
+        assertEquals(resources.signal.aborted, false);
+    },
+});
+
+Deno.test({
+    name: 'middlewares do not keep the user and thread of the previous request',
+    ...dbTest,
+    fn: async () => {
+        const shared = createShared();
+        const copilotz = await shared.models.copilotz.create({ name: 'Copilotz' });
+        const config = { copilotzId: copilotz._id };
+
+        // requests run back to back on the same resources, as they do in the server
+        Object.assign(middleware, shared, { resources: {} });
+        await middleware({ params: { config, user: { name: 'Ana' }, thread: { extId: 'thread-1' } } });
+        assertEquals(middleware.resources.thread.extId, 'thread-1');
+        assertEquals(middleware.resources.user.name, 'Ana');
+
+        await middleware({ params: { config } });
+        assertEquals(middleware.resources.thread, undefined);
+        assertEquals(middleware.resources.user, undefined);
+    },
+});
+
+Deno.test({
+    name: 'middlewares reject unknown copilotz',
+    ...dbTest,
+    fn: async () => {
+        const shared = createShared();
+        const error = await getRejection(() => runMiddlewares(shared, {
+            user: { name: 'Ana' },
+            config: { copilotzId: 404 },
+            thread: { extId: 'thread-1' },
+        }));
+        assertEquals(error.status, 404);
+    },
+});
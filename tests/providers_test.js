@@ -0,0 +1,302 @@
+import { assertEquals, assertRejects } from '@std/assert';
+import formatChat, {
+    createEventStreamParser,
+    getCompletionsUrl,
+    getContextWindow,
+    providerError,
+    toStrictJsonSchema,
+} from '../src/api/ai/chat/helpers.js';
+import openAiChat from '../src/api/ai/chat/openai/main.js';
+import anthropicChat from '../src/api/ai/chat/anthropic/main.js';
+import geminiChat from '../src/api/ai/chat/gemini/main.js';
+import * as speechToText from '../src/api/ai/speech-to-text/main.js';
+import * as textToSpeech from '../src/api/ai/text-to-speech/main.js';
+import openAiEmbeddings from '../src/api/ai/embedding/openai/main.js';
+import mockChat, { recordFixtures } from '../src/api/ai/chat/mock/main.js';
+import { getRejection, withFetch } from './setup.js';
+
+const parseEvents = (chunks, options) => {
+    const events = [];
+    const parser = createEventStreamParser((data, { event }) => events.push({ event, data }), options);
+    chunks.forEach((chunk) => parser.push(chunk));
+    parser.end();
+    return events;
+};
+
+const eventStream = (text) => new Response(text, { headers: { 'content-type': 'text/event-stream' } });
+
+Deno.test('event stream parser joins events split across chunks', () => {
+    const events = parseEvents(['data: {"a":', '1}\n', '\ndata: {"a":2}\n\n']);
+    assertEquals(events.map(({ data }) => data), [{ a: 1 }, { a: 2 }]);
+});
+
+Deno.test('event stream parser handles \\r\\n line breaks split across chunks', () => {
+    const events = parseEvents(['data: {"a":1}\r', '\n\r\n', 'data: {"a":2}\r\n\r\n']);
+    assertEquals(events.map(({ data }) => data), [{ a: 1 }, { a: 2 }]);
+});
+
+Deno.test('event stream parser reads event names, multi-line data and comments', () => {
+    const events = parseEvents([
+        ': keep-alive\n\n',
+        'event: content_block_delta\ndata: {"text":\ndata: "hi"}\n\n',
+    ]);
+    assertEquals(events, [{ event: 'content_block_delta', data: { text: 'hi' } }]);
+});
+
+Deno.test('event stream parser stops at [DONE] and dispatches the last event on end', () => {
+    assertEquals(parseEvents(['data: {"a":1}']).length, 1);
+    assertEquals(parseEvents(['data: [DONE]\n\ndata: {"a":1}\n\n']).length, 0);
+});
+
+Deno.test('event stream parser passes the raw data of events', () => {
+    const events = parseEvents(['event: endpoint\ndata: /messages?id=1\n\ndata: [DONE]\n\nevent: error\ndata: {"a":1}\n\n'], { raw: true });
+    assertEquals(events, [
+        { event: 'endpoint', data: '/messages?id=1' },
+        { event: undefined, data: '[DONE]' },
+        { event: 'error', data: '{"a":1}' },
+    ]);
+});
+
+Deno.test('event stream parser throws error events', () => {
+    const parser = createEventStreamParser(() => { });
+    let error;
+    try {
+        parser.push('event: error\ndata: {"error":{"message":"overloaded"}}\n\n');
+    } catch (err) {
+        error = err;
+    }
+    assertEquals(error?.message, 'overloaded');
+});
+
+Deno.test('formatChat keeps the newest messages within the context window', () => {
+    const messages = Array.from({ length: 20 }, (_, index) => ({
+        role: index % 2 ? 'assistant' : 'user',
+        content: `message ${index} `.repeat(50),
+    }));
+    const formatted = formatChat({
+        instructions: 'system prompt',
+        messages,
+        config: { contextWindow: 2000, maxTokens: 500 },
+        model: 'gpt-4o-mini',
+    });
+    assertEquals(formatted[0], { role: 'system', content: 'system prompt' });
+    assertEquals(formatted[formatted.length - 1], messages[messages.length - 1]);
+    assertEquals(formatted[1].role, 'user');
+    assertEquals(formatted.length < messages.length + 1, true);
+});
+
+Deno.test('formatChat matches context windows by model family, and does not trim unknown models', () => {
+    assertEquals(getContextWindow('gpt-4.1-mini'), 1047576);
+    assertEquals(getContextWindow('gpt-4'), 8192);
+    assertEquals(getContextWindow('gpt-4o-2024-08-06'), 128000);
+    assertEquals(getContextWindow('claude-sonnet-4-20250514'), 200000);
+    assertEquals(getContextWindow('gemini-2.5-flash'), 1048576);
+    assertEquals(getContextWindow('o4-mini'), 200000);
+    assertEquals(getContextWindow('my-local-model'), undefined);
+
+    const messages = Array.from({ length: 200 }, (_, index) => ({
+        role: index % 2 ? 'assistant' : 'user',
+        content: `message ${index} `.repeat(50),
+    }));
+    assertEquals(formatChat({ messages, config: {}, model: 'my-local-model' }).length, 200);
+});
+
+Deno.test('formatChat limits the messages to config.maxLength characters', () => {
+    const messages = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)]
+        .map((content, index) => ({ role: index % 2 ? 'assistant' : 'user', content }));
+    const formatted = formatChat({ instructions: 'x'.repeat(10), messages, config: { maxLength: 100 }, model: 'gpt-4o' });
+    assertEquals(formatted.map(({ content }) => content[0]), ['x', 'c']);
+});
+
+Deno.test('toStrictJsonSchema makes optional properties nullable and rejects open objects', () => {
+    assertEquals(toStrictJsonSchema({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        properties: { message: { type: 'string' }, score: { type: 'number' } },
+        required: ['message'],
+    }), {
+        type: 'object',
+        properties: { message: { type: 'string' }, score: { type: ['number', 'null'] } },
+        required: ['message', 'score'],
+        additionalProperties: false,
+    });
+    assertEquals(toStrictJsonSchema({ type: 'object', properties: { args: { type: 'object' } } }), undefined);
+    assertEquals(toStrictJsonSchema({ type: 'object', properties: { results: { type: 'any' } } }), undefined);
+});
+
+Deno.test('providerError keeps the status and the Retry-After delay', async () => {
+    const error = await providerError(
+        new Response('rate limited', { status: 429, headers: { 'retry-after': '2' } }),
+        'openai'
+    );
+    assertEquals(error.message, 'rate limited');
+    assertEquals(error.status, 429);
+    assertEquals(error.provider, 'openai');
+    assertEquals(error.retryAfter, 2000);
+});
+
+Deno.test('getCompletionsUrl appends the path and query params', () => {
+    assertEquals(getCompletionsUrl('http://localhost:11434/v1/'), 'http://localhost:11434/v1/chat/completions');
+    assertEquals(
+        getCompletionsUrl('https://example.openai.azure.com/openai/deployments/gpt-4o', { 'api-version': '2024-06-01' }),
+        'https://example.openai.azure.com/openai/deployments/gpt-4o/chat/completions?api-version=2024-06-01'
+    );
+});
+
+Deno.test('openai provider streams text and tool calls', async () => {
+    const stream = [
+        'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"lo"}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call_1","function":{"name":"get","arguments":"{\\"a\\":"}}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"1}"}}]}}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":10,"completion_tokens":5}}\n\n',
+        'data: [DONE]\n\n',
+    ].join('');
+
+    await withFetch(() => eventStream(stream), async (requests) => {
+        Object.assign(openAiChat, { config: { apiKey: 'key', baseUrl: 'http://localhost:8000/v1', headers: { 'x-test': '1' } }, env: {} });
+        const tokens = [];
+        const result = await openAiChat(
+            { instructions: 'system prompt', messages: [{ role: 'user', content: 'hi' }] },
+            (token) => tokens.push(token)
+        );
+        assertEquals(result.answer, 'Hello');
+        assertEquals(tokens, ['Hel', 'lo']);
+        assertEquals(result.toolCalls, [{ id: 'call_1', name: 'get', args: { a: 1 } }]);
+        assertEquals(result.usage.totalTokens, 15);
+        assertEquals(requests[0].url, 'http://localhost:8000/v1/chat/completions');
+        assertEquals(requests[0].headers['x-test'], '1');
+        assertEquals(requests[0].headers.Authorization, 'Bearer key');
+    });
+});
+
+Deno.test('openai provider sends the reserved maxTokens', async () => {
+    const stream = 'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n';
+    await withFetch(() => eventStream(stream), async (requests) => {
+        Object.assign(openAiChat, { config: { apiKey: 'key', maxTokens: 1000 }, env: {} });
+        await openAiChat({ messages: [{ role: 'user', content: 'hi' }] });
+        Object.assign(openAiChat, { config: { apiKey: 'key', maxTokens: 1000, baseUrl: 'http://localhost:8000/v1' }, env: {} });
+        await openAiChat({ messages: [{ role: 'user', content: 'hi' }] });
+
+        const [first, second] = requests.map(({ body }) => JSON.parse(body));
+        assertEquals([first.max_completion_tokens, first.max_tokens], [1000, undefined]);
+        assertEquals(second.max_tokens, 1000);
+    });
+});
+
+Deno.test('gemini provider gives its tool calls ids that are unique across turns', async () => {
+    const stream = 'data: {"candidates":[{"content":{"parts":[{"functionCall":{"name":"get","args":{"a":1}}}]}}]}\n\n';
+
+    await withFetch(() => eventStream(stream), async () => {
+        Object.assign(geminiChat, { config: { apiKey: 'key' }, env: {} });
+        const chat = { messages: [{ role: 'user', content: 'hi' }] };
+        const [first] = (await geminiChat(chat)).toolCalls;
+        const [second] = (await geminiChat(chat)).toolCalls;
+        assertEquals([first.name, first.args], ['get', { a: 1 }]);
+        assertEquals(first.id === second.id, false);
+    });
+});
+
+Deno.test('openai provider sends response schemas as strict json schemas', async () => {
+    await withFetch(() => eventStream('data: {"choices":[{"delta":{"content":"{}"}}]}\n\n'), async (requests) => {
+        Object.assign(openAiChat, { config: { apiKey: 'key' }, env: {} });
+        await openAiChat({
+            messages: [{ role: 'user', content: 'hi' }],
+            responseSchema: { type: 'object', properties: { n: { type: 'number' } }, required: ['n'] },
+        });
+        const { response_format } = JSON.parse(requests[0].body);
+        assertEquals(response_format.type, 'json_schema');
+        assertEquals(response_format.json_schema.strict, true);
+    });
+});
+
+Deno.test('anthropic provider throws provider errors', async () => {
+    await withFetch(() => new Response('overloaded', { status: 529 }), async () => {
+        Object.assign(anthropicChat, { config: { apiKey: 'key' }, env: {} });
+        const error = await assertRejects(() => anthropicChat({ messages: [{ role: 'user', content: 'hi' }] }));
+        assertEquals(error.status, 529);
+        assertEquals(error.provider, 'anthropic');
+    });
+});
+
+Deno.test('speech providers send the request signal', async () => {
+    const signal = new AbortController().signal;
+    const blob = new Blob([new Uint8Array(4)], { type: 'audio/wav' });
+
+    await withFetch((url) => url.includes('/speech') ? new Response(new Uint8Array(4)) : Response.json({ text: 'hi' }), async (requests) => {
+        for (const provider of [speechToText.openai, speechToText.whispercpp]) {
+            Object.assign(provider, { config: { apiKey: 'key' }, env: {}, signal });
+            assertEquals((await provider({ blob })).text, 'hi');
+        }
+        Object.assign(textToSpeech.openai, { config: { apiKey: 'key' }, env: {}, signal });
+        assertEquals((await textToSpeech.openai({ text: 'hi' })).audio.length, 4);
+
+        assertEquals(requests.map((request) => request.signal === signal), [true, true, true]);
+    });
+});
+
+Deno.test('openai embeddings report network failures as provider errors', async () => {
+    await withFetch(() => Promise.reject(new TypeError('connection refused')), async () => {
+        Object.assign(openAiEmbeddings, { config: { apiKey: 'key' }, env: {}, signal: undefined });
+        const error = await getRejection(() => openAiEmbeddings('hi'));
+        assertEquals([error.code, error.status, error.provider], ['PROVIDER_ERROR', 502, 'openai']);
+
+        // cancelled requests are rejected with the abort reason
+        const controller = new AbortController();
+        controller.abort(new Error('cancelled'));
+        Object.assign(openAiEmbeddings, { signal: controller.signal });
+        assertEquals((await getRejection(() => openAiEmbeddings('hi'))).message, 'cancelled');
+    });
+});
+
+Deno.test('mock provider replays scripted answers in order', async () => {
+    const answers = [
+        'Hello there',
+        { answer: { message: 'hi' } },
+        { toolCalls: [{ name: 'get', args: { a: 1 } }] },
+        { error: { status: 429, retryAfter: 10 } },
+    ];
+    Object.assign(mockChat, { config: { answers }, env: {} });
+    const messages = [{ role: 'user', content: 'hi' }];
+
+    const tokens = [];
+    const first = await mockChat({ messages }, (token) => tokens.push(token));
+    assertEquals(first.answer, 'Hello there');
+    assertEquals(tokens, ['Hello ', 'there']);
+
+    assertEquals((await mockChat({ messages })).answer, '{"message":"hi"}');
+    assertEquals((await mockChat({ messages })).toolCalls, [{ id: 'call_0', name: 'get', args: { a: 1 } }]);
+
+    const error = await assertRejects(() => mockChat({ messages }));
+    assertEquals(error.status, 429);
+    assertEquals(error.retryAfter, 10);
+
+    assertEquals((await getRejection(() => mockChat({ messages }))).status, 400);
+});
+
+Deno.test('mock provider stops waiting for its delay when the request is cancelled', async () => {
+    const controller = new AbortController();
+    Object.assign(mockChat, { config: { answers: [{ answer: 'Too late', delay: 60000 }] }, env: {}, signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+    const error = await getRejection(() => mockChat({ messages: [{ role: 'user', content: 'hi' }] }));
+    Object.assign(mockChat, { signal: undefined });
+    assertEquals(error.message, 'cancelled');
+});
+
+Deno.test('mock provider replays recorded fixtures by request', async () => {
+    const provider = async ({ messages }) => ({ answer: `answer to ${messages.length}`, toolCalls: [], usage: { totalTokens: 1 } });
+    const recorder = recordFixtures(provider);
+    Object.assign(recorder, { config: {}, env: {} });
+
+    const firstTurn = [{ role: 'user', content: 'hi' }];
+    const secondTurn = [...firstTurn, { role: 'assistant', content: 'answer to 1' }, { role: 'user', content: 'and?' }];
+    await recorder({ instructions: 'today', messages: firstTurn });
+    await recorder({ instructions: 'today', messages: secondTurn });
+
+    const fixtures = JSON.parse(JSON.stringify(recorder.fixtures));
+    Object.assign(mockChat, { config: { fixtures }, env: {} });
+    // instructions are not matched, as they include the current date
+    assertEquals((await mockChat({ instructions: 'tomorrow', messages: secondTurn })).answer, 'answer to 3');
+    assertEquals((await mockChat({ instructions: 'tomorrow', messages: firstTurn })).answer, 'answer to 1');
+    assertEquals((await getRejection(() => mockChat({ messages: firstTurn }))).status, 400);
+});
@@ -0,0 +1,87 @@
+import { assertEquals } from '@std/assert';
+import { createShared, dbTest, getRejection, withFetch } from './setup.js';
+
+// Embeddings of the fake ollama api: one dimension per letter count of a few words
+const words = ['cat', 'dog', 'bird'];
+const embedTexts = (_url, options) => {
+    const { input } = JSON.parse(options.body);
+    const embeddings = input.map((text) => words.map((word) => text.split(word).length - 1 + 0.01));
+    return Response.json({ embeddings, prompt_eval_count: input.length });
+};
+
+const setup = async () => {
+    const shared = createShared();
+    const { models } = shared;
+    const rag = shared.modules.native.rag;
+    const otherKnowledgeBase = await models.knowledgeBases.create({ name: 'other' });
+    const copilotz = await models.copilotz.create({ name: 'Copilotz', knowledgeBases: [] });
+    const config = { AI_EMBEDDING_PROVIDER: { provider: 'ollama', baseUrl: 'http://ollama.test' } };
+    Object.assign(rag, shared, { resources: { copilotz, config } });
+    return { rag, models, copilotz, otherKnowledgeBase };
+};
+
+Deno.test({
+    name: 'rag ingests into and searches the copilotz knowledge bases',
+    ...dbTest,
+    fn: async () => {
+        const { rag, models, copilotz } = await setup();
+        await withFetch(embedTexts, async (requests) => {
+            const ingested = await rag({ operation: 'ingest', knowledgeBase: 'pets', name: 'cats.txt', content: 'The cat sleeps.' });
+            // the new knowledge base is added to the copilotz
+            assertEquals(copilotz.knowledgeBases, [ingested.knowledgeBase]);
+            assertEquals((await models.copilotz.findOne({ _id: copilotz._id })).knowledgeBases, [ingested.knowledgeBase]);
+
+            const results = await rag({ operation: 'search', query: 'cat', knowledgeBase: 'pets' });
+            assertEquals(results.map(({ content }) => content), ['The cat sleeps.']);
+
+            // the signal of the action reaches the embedding requests
+            const controller = new AbortController();
+            await rag({ operation: 'search', query: 'cat', _signal: controller.signal });
+            assertEquals(requests[requests.length - 1].signal, controller.signal);
+        });
+    },
+});
+
+Deno.test({
+    name: 'rag rejects knowledge bases and documents of other copilotz',
+    ...dbTest,
+    fn: async () => {
+        const { rag, models, otherKnowledgeBase } = await setup();
+        const otherDocument = await models.documents.create({ knowledgeBase: otherKnowledgeBase._id, name: 'secret.txt', chunks: 0 });
+
+        await withFetch(embedTexts, async () => {
+            assertEquals((await getRejection(() => rag({ operation: 'search', query: 'cat', knowledgeBase: otherKnowledgeBase._id }))).status, 404);
+            assertEquals((await getRejection(() => rag({ operation: 'search', query: 'cat', knowledgeBase: 'other' }))).status, 404);
+            assertEquals((await getRejection(() => rag({ operation: 'ingest', knowledgeBase: otherKnowledgeBase._id, name: 'a.txt', content: 'cat' }))).status, 404);
+            assertEquals((await getRejection(() => rag({ operation: 'delete', document: otherDocument._id }))).status, 404);
+        });
+        assertEquals((await models.documents.findOne({ _id: otherDocument._id })).name, 'secret.txt');
+    },
+});
+
+Deno.test({
+    name: 'rag searches at most 5000 chunks',
+    ...dbTest,
+    fn: async () => {
+        const { rag, models, copilotz } = await setup();
+        const dogs = await models.knowledgeBases.create({ name: 'dogs' });
+        const cats = await models.knowledgeBases.create({ name: 'cats' });
+        copilotz.knowledgeBases = [dogs._id, cats._id];
+        for (let index = 0; index < 5000; index++) {
+            await models.chunks.create({ knowledgeBase: dogs._id, index, content: 'The dog barks.', embedding: [0, 1, 0] });
+        }
+        await models.chunks.create({ knowledgeBase: cats._id, index: 0, content: 'The cat sleeps.', embedding: [1, 0, 0] });
+
+        const originalLog = console.log;
+        const logs = [];
+        console.log = (...args) => logs.push(args.join(' '));
+        try {
+            await withFetch(embedTexts, async () => {
+                assertEquals(await rag({ operation: 'search', query: 'cat' }), []);
+            });
+        } finally {
+            console.log = originalLog;
+        }
+        assertEquals(logs.some((log) => log.includes('only the first 5000 are searched')), true);
+    },
+});
@@ -0,0 +1,22 @@
+import { assertEquals } from '@std/assert';
+import request from '../src/api/modules/request/main.js';
+import { getRejection, withFetch } from './setup.js';
+
+Deno.test('request logs failed calls without their credentials', async () => {
+    const originalError = console.error;
+    const logs = [];
+    console.error = (...args) => logs.push(args.map((arg) => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
+    try {
+        await withFetch(() => new Response('Unauthorized', { status: 401 }), async () => {
+            const error = await getRejection(() => request('https://api.example.com/token', {
+                method: 'POST',
+                queryParams: { api_key: 'query-secret' },
+                body: { client_secret: 'body-secret', password: 'password-secret' },
+            }));
+            assertEquals(error.status, 401);
+        });
+    } finally {
+        console.error = originalError;
+    }
+    assertEquals(logs, ['Error processing request: POST api.example.com/token failed with 401']);
+});
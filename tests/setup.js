@@ -0,0 +1,66 @@
+// Shared setup of the test suite: the functions' dependencies are built the way the functions server
+// builds them, from the `shared` files of each directory, on an in-memory SQLite database.
+import rootShared from '../src/shared.ts';
+import apiShared from '../src/api/shared.ts';
+import agentsShared from '../src/api/agents/shared.js';
+
+// The database client and the abort signals of the agents outlive single tests
+export const dbTest = { sanitizeOps: false, sanitizeResources: false };
+
+export const createShared = ({ env = {} } = {}) => {
+    return agentsShared(apiShared(rootShared({ env: { DB_PATH: ':memory:', ...env } })));
+};
+
+// Creates a copilotz and a thread for agent runs
+export const seed = async (models, { copilotz: copilotzData = {}, extId = 'thread-1' } = {}) => {
+    const copilotz = await models.copilotz.create({
+        name: 'Copilotz',
+        description: 'Test copilot',
+        backstory: 'A helpful assistant',
+        ...copilotzData,
+    });
+    const thread = await models.threads.create({ extId, copilotz: copilotz._id });
+    return { copilotz, thread };
+};
+
+// Runs an agent as the entry agent of a request. `res.stream` chunks are collected in `chunks`.
+export const runAgent = async (agent, params, { shared, resources }) => {
+    const chunks = [];
+    const res = { stream: (chunk) => chunks.push(chunk) };
+    Object.assign(agent, shared, {
+        resources,
+        __requestId__: crypto.randomUUID(),
+        __executionId__: crypto.randomUUID(),
+        __tags__: {},
+    });
+    const response = await agent(params, res);
+    return { response, chunks };
+};
+
+// Scripted answers of the mock chat provider
+export const mockProvider = (answers, options = {}) => ({ provider: 'mock', answers, ...options });
+
+// Stubs `fetch` for the duration of `fn`, recording the requests
+export const withFetch = async (handler, fn) => {
+    const originalFetch = globalThis.fetch;
+    const requests = [];
+    globalThis.fetch = async (url, options = {}) => {
+        requests.push({ url: `${url}`, ...options });
+        return handler(`${url}`, options);
+    };
+    try {
+        return await fn(requests);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+};
+
+// Returns what `fn` throws: agents and middlewares throw plain `{ status, message }` objects
+export const getRejection = async (fn) => {
+    try {
+        await fn();
+    } catch (err) {
+        return err;
+    }
+    throw new Error('Expected a rejection');
+};
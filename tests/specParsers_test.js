@@ -0,0 +1,431 @@
+import { assertEquals } from '@std/assert';
+import openApiParser from '../src/api/_specParser/openapi3-yaml/main.js';
+import jsonSchemaParser from '../src/api/_specParser/json-schema/main.js';
+import shortSchemaParser from '../src/api/_specParser/short-schema/main.js';
+import graphqlParser from '../src/api/_specParser/graphql/main.js';
+import { buildSchema, introspectionFromSchema } from 'npm:graphql@16';
+import { getRejection } from './setup.js';
+
+const weatherSpec = `
+openapi: 3.0.0
+info:
+  title: Weather
+  version: 1.0.0
+servers:
+  - url: https://api.example.com
+paths:
+  /weather:
+    post:
+      operationId: getWeather
+      summary: Gets the weather of a city
+      requestBody:
+        required: true
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [city]
+              properties:
+                city:
+                  type: string
+                  description: City name
+      responses:
+        '200':
+          description: The weather
+`;
+
+const createModule = (result) => {
+    const calls = [];
+    const module = async (...args) => {
+        calls.push(args);
+        return result;
+    };
+    return { module, calls };
+};
+
+Deno.test('openapi parser creates an action for each operation', () => {
+    const { module } = createModule();
+    const actions = openApiParser({ spec: weatherSpec, module });
+    assertEquals(Object.keys(actions), ['getWeather']);
+    assertEquals(actions.getWeather.spec, '(Gets the weather of a city):!city<string>(City name)->(The weather)');
+});
+
+Deno.test('openapi parser actions send requests through the module', async () => {
+    const { module, calls } = createModule({ temperature: 20 });
+    const actions = openApiParser({ spec: weatherSpec, module });
+    const result = await actions.getWeather({ city: 'Paris', _user: { name: 'Ana' } });
+    assertEquals(result, { temperature: 20 });
+    const [url, options] = calls[0];
+    assertEquals(url, 'https://api.example.com/weather');
+    assertEquals(options.method, 'post');
+    assertEquals(options.body.city, 'Paris');
+});
+
+const petStoreSpec = {
+    openapi: '3.0.3',
+    info: { title: 'Pet store', version: '1.0.0' },
+    servers: [{ url: 'https://{region}.pets.example.com/v1', variables: { region: { default: 'eu' } } }],
+    components: {
+        securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' } },
+        parameters: {
+            PetId: { name: 'petId', in: 'path', required: true, schema: { type: 'integer' }, description: 'Id of the pet' },
+        },
+        schemas: {
+            NewPet: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    tag: { type: 'string', enum: ['dog', 'cat'] },
+                    owner: { $ref: '#/components/schemas/Owner' },
+                },
+            },
+            Pet: { allOf: [{ $ref: '#/components/schemas/NewPet' }, { type: 'object', properties: { id: { type: 'integer' } } }] },
+            Owner: {
+                type: 'object',
+                properties: { name: { type: 'string' }, pets: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } },
+            },
+        },
+    },
+    security: [{ apiKey: [] }],
+    paths: {
+        '/pets/{petId}': {
+            parameters: [{ $ref: '#/components/parameters/PetId' }],
+            get: {
+                operationId: 'getPet',
+                summary: 'Gets a pet',
+                description: 'Returns a single pet (with its owner)',
+                parameters: [
+                    { name: 'fields', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+                    { name: 'X-Trace', in: 'header', schema: { type: 'string' } },
+                    { name: 'session', in: 'cookie', schema: { type: 'string' } },
+                ],
+                responses: { '200': { description: 'The pet' } },
+            },
+            put: {
+                operationId: 'updatePet',
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+                },
+                responses: { '204': { description: 'Pet updated' } },
+            },
+        },
+        '/pets': {
+            post: {
+                requestBody: {
+                    content: { 'application/x-www-form-urlencoded': { schema: { $ref: '#/components/schemas/NewPet' } } },
+                },
+                responses: { default: { description: 'The new pet' } },
+            },
+        },
+    },
+};
+
+Deno.test('openapi parser resolves refs, compositions and parameters of any location', () => {
+    const { module } = createModule();
+    const actions = openApiParser({ spec: JSON.stringify(petStoreSpec), module });
+    assertEquals(Object.keys(actions), ['getPet', 'updatePet', 'post_pets']);
+    assertEquals(
+        actions.getPet.spec,
+        '(Gets a pet. Returns a single pet [with its owner]):!petId<number>(Id of the pet), fields<array of string>(), X-Trace<string>(), session<string>()->(The pet)'
+    );
+    assertEquals(
+        actions.updatePet.spec,
+        '():!petId<number>(Id of the pet), !name<string>(), tag<string>(one of: "dog", "cat"), owner.name<string>(), owner.pets<array of object>(), id<number>()->(Pet updated)'
+    );
+    assertEquals(actions.post_pets.spec, '():name<string>(), tag<string>(one of: "dog", "cat"), owner.name<string>(), owner.pets<array of object>()->(The new pet)');
+});
+
+Deno.test('openapi parser actions route args to the path, query, headers, cookies and body', async () => {
+    const { module, calls } = createModule({ id: 1 });
+    const actions = openApiParser({ spec: petStoreSpec, module });
+
+    await actions.getPet({ petId: 1, fields: ['name', 'tag'], 'X-Trace': 'abc', session: 's1' });
+    const [url, options] = calls[0];
+    assertEquals(url, 'https://eu.pets.example.com/v1/pets/1');
+    assertEquals(options.method, 'get');
+    assertEquals(options.queryParams.toString(), 'fields=name&fields=tag');
+    assertEquals(options.headers, { 'X-Trace': 'abc', Cookie: 'session=s1' });
+    assertEquals(options.body, undefined);
+
+    await actions.updatePet({ petId: 1, name: 'Rex', 'owner.name': 'Ana' });
+    assertEquals(calls[1][0], 'https://eu.pets.example.com/v1/pets/1');
+    assertEquals(calls[1][1].body, { name: 'Rex', owner: { name: 'Ana' } });
+
+    await actions.post_pets({ name: 'Rex', tag: 'dog' });
+    assertEquals(calls[2][1].body.toString(), 'name=Rex&tag=dog');
+});
+
+Deno.test('openapi parser actions reject missing required args', async () => {
+    const { module, calls } = createModule();
+    const actions = openApiParser({ spec: petStoreSpec, module });
+    const error = await getRejection(() => actions.updatePet({ name: 'Rex' }));
+    assertEquals(error.message, 'Missing required arguments: petId');
+    assertEquals(calls.length, 0);
+});
+
+Deno.test('json-schema parser describes the schema as an action spec', async () => {
+    const { module, calls } = createModule('ok');
+    const action = await jsonSchemaParser({
+        schema: {
+            type: 'object',
+            description: 'Schedules an appointment',
+            properties: {
+                date: { type: 'string', format: 'date-time', description: 'Date of the appointment' },
+                duration: { type: 'integer' },
+                patient: {
+                    type: 'object',
+                    properties: { name: { type: 'string' } },
+                    required: ['name'],
+                },
+            },
+            required: ['date'],
+        },
+        module,
+    });
+    assertEquals(
+        action.spec,
+        ' (Schedules an appointment): !date<date> (Date of the appointment), duration<number>,   patient: !name<string>'
+    );
+    assertEquals(await action({ date: '2024-01-01' }), 'ok');
+    assertEquals(calls[0][0], {
+        data: { date: '2024-01-01' },
+        shortSchema: { date: 'string!', duration: 'number?', patient: { name: 'string!' } },
+    });
+});
+
+Deno.test('short-schema parser describes the schema as an action spec', async () => {
+    const { module, calls } = createModule('ok');
+    const action = await shortSchemaParser({
+        schema: { city: 'string!', days: 'number', options: { units: 'string?' } },
+        module,
+    });
+    assertEquals(action.spec, 'city<required string>, days<number>, options.units<optional string>');
+    assertEquals(await action({ city: 'Paris' }), 'ok');
+    assertEquals(calls[0][0], { city: 'Paris' });
+});
+
+const securedSpec = {
+    openapi: '3.0.3',
+    info: { title: 'Secured', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com' }],
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'query', name: 'key' },
+            basic: { type: 'http', scheme: 'basic' },
+            session: { type: 'http', scheme: 'bearer' },
+            oauth: {
+                type: 'oauth2',
+                flows: { clientCredentials: { tokenUrl: 'https://auth.example.com/token', scopes: { read: 'Read' } } },
+            },
+        },
+    },
+    paths: {
+        '/login': {
+            post: {
+                operationId: 'login',
+                security: [],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: { type: 'object', properties: { user: { type: 'string' }, password: { type: 'string' } } },
+                        },
+                    },
+                },
+                responses: { '200': { description: 'The session' } },
+            },
+        },
+        '/items': {
+            get: { operationId: 'listItems', security: [{ oauth: ['read'] }, { session: [] }], responses: { '200': { description: 'The items' } } },
+            post: { operationId: 'createItem', security: [{ apiKey: [], basic: [] }], responses: { '200': { description: 'The item' } } },
+        },
+    },
+};
+
+// Fake `request` module answering by url, with the status of `statuses` when set
+const createApi = (responses, statuses = {}) => {
+    const calls = [];
+    const module = async (url, options) => {
+        calls.push([url, options]);
+        const status = statuses[url]?.shift();
+        if (status) throw { status, message: 'Unauthorized' };
+        return typeof responses[url] === 'function' ? responses[url](options) : responses[url];
+    };
+    return { module, calls };
+};
+
+Deno.test('openapi parser adds api keys and basic auth of the action credentials', async () => {
+    const { module, calls } = createApi({ 'https://api.example.com/items': { id: 1 } });
+    const actions = openApiParser({
+        spec: securedSpec,
+        module,
+        auth: { apiKey: 'secret-key', basic: { username: 'ana', password: 'pass' } },
+    });
+    await actions.createItem({});
+    const [, options] = calls[0];
+    assertEquals(options.queryParams.get('key'), 'secret-key');
+    assertEquals(options.headers.Authorization, `Basic ${btoa('ana:pass')}`);
+    // credentials never show in the action spec
+    assertEquals(actions.createItem.spec, '():->(The item)');
+});
+
+Deno.test('openapi parser caches oauth2 client credentials tokens and fetches them again on 401', async () => {
+    let issued = 0;
+    const { module, calls } = createApi({
+        'https://auth.example.com/token': () => ({ access_token: `token-${++issued}`, expires_in: 3600 }),
+        'https://api.example.com/items': [],
+    }, { 'https://api.example.com/items': [undefined, undefined, 401] });
+    const actions = openApiParser({ spec: securedSpec, module, auth: { oauth: { clientId: 'id', clientSecret: 'secret' } } });
+
+    await Promise.all([actions.listItems({}), actions.listItems({})]);
+    const tokenRequests = calls.filter(([url]) => url === 'https://auth.example.com/token');
+    assertEquals(tokenRequests.length, 1);
+    assertEquals(tokenRequests[0][1].body.toString(), 'grant_type=client_credentials&scope=read&client_id=id&client_secret=secret');
+    assertEquals(calls[1][1].headers.Authorization, 'Bearer token-1');
+
+    // the token is rejected, so a new one is requested and the call is sent again
+    await actions.listItems({});
+    assertEquals(issued, 2);
+    assertEquals(calls[calls.length - 1][1].headers.Authorization, 'Bearer token-2');
+});
+
+Deno.test('openapi parser logs in with a login operation of the spec', async () => {
+    const { module, calls } = createApi({
+        'https://api.example.com/login': { session: { jwt: 'jwt-1' } },
+        'https://api.example.com/items': [],
+    });
+    const actions = openApiParser({
+        spec: securedSpec,
+        module,
+        auth: { session: { loginOperationId: 'login', credentials: { user: 'ana', password: 'pass' }, tokenPath: 'session.jwt' } },
+    });
+    await actions.listItems({});
+    await actions.listItems({});
+    assertEquals(calls.map(([url]) => url), [
+        'https://api.example.com/login',
+        'https://api.example.com/items',
+        'https://api.example.com/items',
+    ]);
+    assertEquals(calls[0][1].body, { user: 'ana', password: 'pass' });
+    assertEquals(calls[0][1].headers.Authorization, undefined);
+    assertEquals(calls[2][1].headers.Authorization, 'Bearer jwt-1');
+});
+
+const librarySdl = `
+"""A book of the library"""
+type Book {
+  id: ID!
+  title: String!
+  author: Author
+  loans(status: LoanStatus!): [Loan!]!
+}
+
+type Author {
+  name: String!
+  books: [Book!]!
+}
+
+type Loan {
+  returned: Boolean
+}
+
+enum LoanStatus { OPEN CLOSED }
+
+input BookInput {
+  title: String!
+  "Year of publication"
+  year: Int
+  author: AuthorInput
+}
+
+input AuthorInput {
+  name: String!
+}
+
+type Query {
+  "Finds a book by id"
+  book(id: ID!): Book
+  books(first: Int = 10): [Book!]!
+}
+
+type Mutation {
+  "Adds a book (to the catalog)"
+  addBook(input: BookInput!): Book!
+}
+`;
+
+Deno.test('graphql parser creates an action for each query and mutation', async () => {
+    const { module } = createModule();
+    const actions = await graphqlParser({ spec: { url: 'https://api.example.com/graphql', schema: librarySdl }, module });
+    assertEquals(Object.keys(actions), ['book', 'books', 'addBook']);
+    assertEquals(actions.book.spec, '(Finds a book by id):!id<string>()->(Book: A book of the library)');
+    assertEquals(actions.books.spec, '(Query books):first<number>(default: 10)->([Book!]!: A book of the library)');
+    assertEquals(
+        actions.addBook.spec,
+        '(Adds a book [to the catalog]):!input.title<string>(), input.year<number>(Year of publication), input.author.name<string>()->(Book!: A book of the library)'
+    );
+});
+
+Deno.test('graphql parser actions post operations with variables and a selection set', async () => {
+    const { module, calls } = createModule({ data: { addBook: { id: '1', title: 'Dune' } } });
+    const actions = await graphqlParser({
+        spec: JSON.stringify({ url: 'https://api.example.com/graphql', schema: librarySdl, headers: { 'X-Tenant': 'acme' } }),
+        module,
+        auth: { headers: { Authorization: 'Bearer secret' } },
+    });
+
+    const result = await actions.addBook({ 'input.title': 'Dune', 'input.author.name': 'Frank Herbert', _user: { name: 'Ana' } });
+    assertEquals(result, { id: '1', title: 'Dune' });
+    const [url, options] = calls[0];
+    assertEquals(url, 'https://api.example.com/graphql');
+    assertEquals(options.method, 'POST');
+    assertEquals(options.headers, { 'X-Tenant': 'acme', Authorization: 'Bearer secret' });
+    // author's books are two levels down, and loans need an arg
+    assertEquals(
+        options.body.query,
+        'mutation addBook($input: BookInput!) { addBook(input: $input) { id title author { name } } }'
+    );
+    assertEquals(options.body.variables, { input: { title: 'Dune', author: { name: 'Frank Herbert' } } });
+
+    assertEquals((await getRejection(() => actions.book({}))).message, 'Missing required arguments: id');
+});
+
+Deno.test('graphql parser selects deeper results and reports graphql errors', async () => {
+    const { module, calls } = createModule({ data: { book: null }, errors: [{ message: 'Book not found' }] });
+    const actions = await graphqlParser({ spec: { url: 'https://api.example.com/graphql', schema: librarySdl, depth: 3 }, module });
+
+    assertEquals((await getRejection(() => actions.book({ id: '2' }))).message, 'Book not found');
+    assertEquals(calls[0][1].body.query, 'query book($id: ID!) { book(id: $id) { id title author { name books { id title } } } }');
+});
+
+Deno.test('graphql parser reads introspection results, or introspects the api', async () => {
+    const introspection = introspectionFromSchema(buildSchema(librarySdl));
+    const { module, calls } = createModule({ data: introspection });
+
+    const fromSpec = await graphqlParser({ spec: { url: 'https://api.example.com/graphql', schema: JSON.stringify({ data: introspection }) }, module });
+    assertEquals(Object.keys(fromSpec), ['book', 'books', 'addBook']);
+    assertEquals(calls.length, 0);
+
+    const introspected = await graphqlParser({ spec: { url: 'https://api.example.com/graphql', operations: ['books'] }, module });
+    assertEquals(Object.keys(introspected), ['books']);
+    assertEquals(calls[0][1].body.query.includes('__schema'), true);
+    assertEquals(calls[0][1].signal instanceof AbortSignal, true);
+});
+
+Deno.test('graphql parser caches introspected schemas by url and headers', async () => {
+    const introspection = introspectionFromSchema(buildSchema(librarySdl));
+    const spec = { url: 'https://cached.example.com/graphql' };
+
+    // failed introspections are not cached
+    const failing = createModule({ errors: [{ message: 'Introspection is disabled' }] });
+    await getRejection(() => graphqlParser({ spec, module: failing.module }));
+
+    const { module, calls } = createModule({ data: introspection });
+    await graphqlParser({ spec, module });
+    await graphqlParser({ spec, module });
+    assertEquals(calls.length, 1);
+
+    await graphqlParser({ spec, module, auth: { headers: { Authorization: 'Bearer other' } } });
+    assertEquals(calls.length, 2);
+});
@@ -0,0 +1,182 @@
+import { assertEquals, assertRejects } from '@std/assert';
+import agentsShared from '../src/api/agents/shared.js';
+
+const {
+    jsonSchemaToShortSchema,
+    mergeSchemas,
+    createPrompt,
+    parseActionSpec,
+    toolCallsToMessages,
+    getTextContent,
+    retryWithBackoff,
+    throwIfAborted,
+} = agentsShared({}).utils;
+
+Deno.test('jsonSchemaToShortSchema marks required and optional properties', () => {
+    const shortSchema = jsonSchemaToShortSchema({
+        type: 'object',
+        properties: {
+            message: { type: 'string', description: 'Message for the user' },
+            count: { type: 'integer' },
+            done: { type: 'boolean' },
+            data: {},
+        },
+        required: ['message'],
+    });
+    assertEquals(shortSchema, {
+        message: 'string!',
+        count: 'number?',
+        done: 'boolean?',
+        data: 'any?',
+    });
+});
+
+Deno.test('jsonSchemaToShortSchema converts nested objects and arrays of objects', () => {
+    const shortSchema = jsonSchemaToShortSchema({
+        type: 'object',
+        properties: {
+            customer: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                },
+                required: ['name'],
+            },
+            functions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        args: { type: 'object' },
+                    },
+                    required: ['name'],
+                },
+            },
+        },
+        required: ['functions'],
+    });
+    assertEquals(shortSchema, {
+        customer: { name: 'string!', email: 'string?' },
+        functions: [{ name: 'string!', args: 'object?' }],
+    });
+});
+
+Deno.test('jsonSchemaToShortSchema adds descriptions when detailed', () => {
+    const shortSchema = jsonSchemaToShortSchema({
+        type: 'object',
+        properties: { message: { type: 'string', description: 'Message for the user' } },
+        required: ['message'],
+    }, { detailed: true });
+    assertEquals(shortSchema, { message: '<string!> Message for the user</string!>' });
+});
+
+Deno.test('mergeSchemas merges properties and required fields', () => {
+    const merged = mergeSchemas(
+        {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                metadata: { type: 'object', properties: { source: { type: 'string' } } },
+            },
+            required: ['message'],
+        },
+        {
+            properties: {
+                score: { type: 'number' },
+                metadata: { type: 'object', properties: { language: { type: 'string' } } },
+            },
+            required: ['score', 'message'],
+        }
+    );
+    assertEquals(merged.type, 'object');
+    assertEquals(merged.required, ['message', 'score']);
+    assertEquals(Object.keys(merged.properties), ['message', 'metadata', 'score']);
+    assertEquals(Object.keys(merged.properties.metadata.properties), ['source', 'language']);
+});
+
+Deno.test('createPrompt replaces variables', () => {
+    assertEquals(createPrompt('Hello {{name}}, {{greeting}}', { name: 'Ana' }), 'Hello Ana, {{greeting}}');
+    assertEquals(
+        createPrompt('Hello {{name}}, {{greeting}}', { name: 'Ana' }, { removeUnusedVariables: true }),
+        'Hello Ana, '
+    );
+    assertEquals(createPrompt('{{count}} items', { count: 0 }), '0 items');
+});
+
+Deno.test('parseActionSpec parses descriptions, args and types', () => {
+    const { description, parameters } = parseActionSpec(
+        '(gets the weather): !city<string>(name of the city), days<number>->(returns the forecast)'
+    );
+    assertEquals(description, 'gets the weather');
+    assertEquals(parameters.required, ['city']);
+    assertEquals(parameters.properties.city.type, 'string');
+    assertEquals(parameters.properties.days.type, 'number');
+});
+
+Deno.test('toolCallsToMessages pairs tool calls with their results', () => {
+    const messages = toolCallsToMessages({
+        message: 'Checking',
+        functions: [{ id: 'call_1', name: 'weather.get', args: { city: 'Paris' }, results: { temp: 20 } }],
+    });
+    assertEquals(messages.length, 2);
+    assertEquals(messages[0].role, 'assistant');
+    assertEquals(messages[0].tool_calls[0].id, 'call_1');
+    assertEquals(messages[1].role, 'tool');
+    assertEquals(messages[1].tool_call_id, 'call_1');
+});
+
+Deno.test('getTextContent joins the text parts of multimodal content', () => {
+    assertEquals(getTextContent('hi'), 'hi');
+    assertEquals(getTextContent([
+        { type: 'text', text: 'what is' },
+        { type: 'image_url', image_url: { url: 'https://example.com/cat.jpg' } },
+        'this?',
+    ]), 'what is\nthis?');
+});
+
+Deno.test('retryWithBackoff retries retryable errors only', async () => {
+    let calls = 0;
+    const result = await retryWithBackoff(async () => {
+        calls++;
+        if (calls < 3) throw Object.assign(new Error('unavailable'), { status: 503 });
+        return 'ok';
+    }, { baseDelay: 1 });
+    assertEquals(result, 'ok');
+    assertEquals(calls, 3);
+
+    calls = 0;
+    await assertRejects(() => retryWithBackoff(async () => {
+        calls++;
+        throw Object.assign(new Error('bad request'), { status: 400 });
+    }, { baseDelay: 1 }));
+    assertEquals(calls, 1);
+});
+
+Deno.test('retryWithBackoff waits for Retry-After delays', async () => {
+    const delays = [];
+    let calls = 0;
+    await retryWithBackoff(async () => {
+        if (!calls++) throw Object.assign(new Error('rate limited'), { status: 429, retryAfter: 5 });
+    }, { baseDelay: 1000, onRetry: (_err, { delay }) => delays.push(delay) });
+    assertEquals(delays, [5]);
+});
+
+Deno.test('throwIfAborted tells cancelled requests from timed out turns', () => {
+    const controller = new AbortController();
+    throwIfAborted(controller.signal);
+    controller.abort();
+    try {
+        throwIfAborted(controller.signal);
+        throw new Error('expected an error');
+    } catch (err) {
+        assertEquals(err.status, 499);
+    }
+    try {
+        throwIfAborted(AbortSignal.abort(new DOMException('timed out', 'TimeoutError')));
+        throw new Error('expected an error');
+    } catch (err) {
+        assertEquals(err.status, 504);
+    }
+});